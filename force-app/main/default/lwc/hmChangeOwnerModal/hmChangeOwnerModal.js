@@ -0,0 +1,49 @@
+import { api } from "lwc";
+import LightningModal from "lightning/modal";
+
+/**
+ * @description Modal for picking a new record owner
+ * Opened by hmConfigurableList; resolves with { ownerId } when confirmed, or undefined when
+ * cancelled. The caller applies the change with updateRecord, so sharing and FLS are enforced.
+ */
+export default class HM_ChangeOwnerModal extends LightningModal {
+  // ==================== CONSTANTS ====================
+  // Only active users can own records
+  static USER_FILTER = {
+    criteria: [{ fieldPath: "IsActive", operator: "eq", value: true }]
+  };
+
+  // ==================== PUBLIC PROPERTIES ====================
+  @api recordCount = 1;
+
+  ownerId = null;
+
+  get userFilter() {
+    return HM_ChangeOwnerModal.USER_FILTER;
+  }
+
+  /**
+   * @description Explains how many records will move to the new owner
+   */
+  get description() {
+    return this.recordCount === 1
+      ? "Select the new owner for this record."
+      : `Select the new owner for ${this.recordCount} records.`;
+  }
+
+  get isConfirmDisabled() {
+    return !this.ownerId;
+  }
+
+  handleOwnerChange(event) {
+    this.ownerId = event.detail.recordId || null;
+  }
+
+  handleCancel() {
+    this.close();
+  }
+
+  handleConfirm() {
+    this.close({ ownerId: this.ownerId });
+  }
+}
@@ -0,0 +1,155 @@
+import { api } from "lwc";
+import LightningModal from "lightning/modal";
+
+/**
+ * @description Modal for choosing which list columns to show and in what order
+ * Opened by hmConfigurableList with the columns for the current filter in display order.
+ * Resolves with { action: "save", columns: [{ key, visible }] }, { action: "reset" } to restore
+ * the admin-configured columns, or undefined when cancelled. Rows can be reordered by dragging
+ * or with the move up/down buttons.
+ */
+export default class HM_ColumnChooserModal extends LightningModal {
+  static ACTIONS = {
+    SAVE: "save",
+    RESET: "reset"
+  };
+
+  static CSS_CLASSES = {
+    ITEM: "cc-chooser-item",
+    ITEM_DRAGGING: "cc-chooser-item cc-chooser-item--dragging"
+  };
+
+  // ==================== PUBLIC PROPERTIES ====================
+  // Columns in display order ({ key, label, visible })
+  @api
+  get columns() {
+    return this._columns;
+  }
+  set columns(value) {
+    this._columns = (value || []).map((column) => ({ ...column }));
+  }
+
+  // Whether the user has saved preferences that Reset would remove
+  @api hasCustomPreferences = false;
+
+  _columns = [];
+  draggedKey = null;
+
+  /**
+   * @description Columns decorated for the template
+   * The last visible column cannot be hidden, so the list never renders without columns
+   */
+  get items() {
+    const visibleCount = this._columns.filter((column) => column.visible).length;
+    const lastIndex = this._columns.length - 1;
+    return this._columns.map((column, index) => ({
+      ...column,
+      className:
+        column.key === this.draggedKey
+          ? HM_ColumnChooserModal.CSS_CLASSES.ITEM_DRAGGING
+          : HM_ColumnChooserModal.CSS_CLASSES.ITEM,
+      isToggleDisabled: column.visible && visibleCount === 1,
+      isFirst: index === 0,
+      isLast: index === lastIndex,
+      moveUpLabel: `Move ${column.label} up`,
+      moveDownLabel: `Move ${column.label} down`
+    }));
+  }
+
+  get isSaveDisabled() {
+    return !this._columns.some((column) => column.visible);
+  }
+
+  get isResetDisabled() {
+    return !this.hasCustomPreferences;
+  }
+
+  handleVisibilityChange(event) {
+    const key = event.target.dataset.key;
+    const visible = event.target.checked;
+    this._columns = this._columns.map((column) => {
+      return column.key === key ? { ...column, visible } : column;
+    });
+  }
+
+  handleMoveUp(event) {
+    this.moveColumn(event.currentTarget.dataset.key, -1);
+  }
+
+  handleMoveDown(event) {
+    this.moveColumn(event.currentTarget.dataset.key, 1);
+  }
+
+  /**
+   * @description Move a column by an offset in the order
+   * @param {String} key - Column key
+   * @param {Number} offset - -1 to move up, 1 to move down
+   */
+  moveColumn(key, offset) {
+    const index = this._columns.findIndex((column) => column.key === key);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= this._columns.length) {
+      return;
+    }
+    const columns = [...this._columns];
+    const [moved] = columns.splice(index, 1);
+    columns.splice(target, 0, moved);
+    this._columns = columns;
+  }
+
+  // ==================== DRAG AND DROP ====================
+
+  handleDragStart(event) {
+    this.draggedKey = event.currentTarget.dataset.key;
+    event.dataTransfer.effectAllowed = "move";
+    // Firefox only starts a drag when data is set
+    event.dataTransfer.setData("text/plain", this.draggedKey);
+  }
+
+  handleDragOver(event) {
+    if (this.draggedKey) {
+      // Allow dropping on other rows
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "move";
+    }
+  }
+
+  /**
+   * @description Move the dragged column to the position of the row it was dropped on
+   */
+  handleDrop(event) {
+    event.preventDefault();
+    const fromIndex = this._columns.findIndex((column) => column.key === this.draggedKey);
+    const toIndex = this._columns.findIndex(
+      (column) => column.key === event.currentTarget.dataset.key
+    );
+    if (fromIndex >= 0 && toIndex >= 0 && fromIndex !== toIndex) {
+      const columns = [...this._columns];
+      const [moved] = columns.splice(fromIndex, 1);
+      columns.splice(toIndex, 0, moved);
+      this._columns = columns;
+    }
+    this.draggedKey = null;
+  }
+
+  handleDragEnd() {
+    this.draggedKey = null;
+  }
+
+  // ==================== ACTIONS ====================
+
+  handleCancel() {
+    this.close();
+  }
+
+  handleReset() {
+    this.close({ action: HM_ColumnChooserModal.ACTIONS.RESET });
+  }
+
+  handleSave() {
+    this.close({
+      action: HM_ColumnChooserModal.ACTIONS.SAVE,
+      columns: this._columns.map(({ key, visible }) => ({ key, visible }))
+    });
+  }
+}
@@ -0,0 +1,1134 @@
+import { LightningElement, api, wire } from "lwc";
+import getComponentConfiguration from "@salesforce/apex/HM_DashboardConfigService.getComponentConfiguration";
+import executeComponentQuery from "@salesforce/apex/HM_ComponentDataService.executeComponentQuery";
+import refreshComponentQuery from "@salesforce/apex/HM_ComponentDataService.refreshComponentQuery";
+
+/**
+ * @description Configurable chart component for displaying grouped data
+ * Accepts componentId and retrieves configuration and data dynamically.
+ *
+ * Key capabilities:
+ * - Bar, stacked bar, line, and donut charts rendered as SVG
+ * - Category, value, and optional series fields mapped via Component Detail Maps
+ *   (Chart Category, Chart Value, Chart Series) against a grouped LIST data source
+ * - Per-point tooltips, legend, and an assistive data table for screen readers
+ * - Responsive sizing driven by the parent group's containerSize
+ * - Manual refresh (bypassing the client cache) with a "last refreshed" timestamp
+ * - Dark mode support
+ */
+export default class HM_ConfigurableChart extends LightningElement {
+  // ==================== CONSTANTS ====================
+  static MAP_TYPES = {
+    CATEGORY: "Chart Category",
+    VALUE: "Chart Value",
+    SERIES: "Chart Series"
+  };
+
+  static CHART_TYPES = {
+    BAR: "Bar",
+    STACKED_BAR: "Stacked Bar",
+    LINE: "Line",
+    DONUT: "Donut"
+  };
+
+  static DEFAULT_CHART_TYPE = HM_ConfigurableChart.CHART_TYPES.BAR;
+  static DEFAULT_SERIES_LABEL = "Value";
+  static BLANK_LABEL = "(Blank)";
+  static ELLIPSIS = "…";
+
+  // SVG viewBox size and axis density per container size
+  static CHART_DIMENSIONS = {
+    xs: { width: 320, height: 200, tickCount: 3, labelLength: 6, labelSpacing: 48 },
+    sm: { width: 480, height: 240, tickCount: 4, labelLength: 10, labelSpacing: 56 },
+    md: { width: 640, height: 280, tickCount: 5, labelLength: 14, labelSpacing: 64 },
+    lg: { width: 800, height: 320, tickCount: 5, labelLength: 18, labelSpacing: 72 }
+  };
+
+  static PLOT_PADDING = {
+    TOP: 12,
+    RIGHT: 12,
+    BOTTOM: 28,
+    LEFT: 52
+  };
+
+  static BAR_GAP_RATIO = 0.25; // Share of each category band left empty between bar groups
+  static DONUT_INNER_RATIO = 0.6;
+  static DONUT_PADDING = 8;
+  static MAX_ARC_ANGLE = 2 * Math.PI - 0.0001; // A single full-circle slice cannot be drawn as one arc
+  static LINE_MARKER_RADIUS = 4;
+
+  static SERIES_COLORS = {
+    LIGHT: ["#0176d3", "#04844b", "#fe9339", "#ba01ff", "#e3066a", "#06a59a", "#747474", "#3a49da"],
+    DARK: ["#1b96ff", "#45c65a", "#ffb75d", "#d17dfe", "#ff538a", "#3ad5c7", "#b0adab", "#7f8ced"]
+  };
+
+  static CSS_CLASSES = {
+    CONTAINER: "cc-container",
+    CONTAINER_DARK: "cc-container cc-dark",
+    REFRESH_BUTTON: "cc-refresh-button",
+    REFRESH_BUTTON_ACTIVE: "cc-refresh-button cc-refresh-button--active"
+  };
+
+  static ERROR_MISSING_MAPPINGS =
+    "Chart components require Chart Category and Chart Value detail maps.";
+
+  // ==================== PUBLIC PROPERTIES ====================
+  @api componentId;
+  @api isDarkMode = false;
+  @api containerSize = 'lg'; // Default to large for backward compatibility
+
+  /**
+   * @description Dashboard filter selections sent as query context ({!filterName})
+   * Re-queries when the selections change after configuration has loaded
+   */
+  @api
+  get filterContext() {
+    return this._filterContext;
+  }
+  set filterContext(value) {
+    const changed = JSON.stringify(value || {}) !== JSON.stringify(this._filterContext || {});
+    this._filterContext = value || {};
+    if (changed && this.componentConfig) {
+      this.loadChartData();
+    }
+  }
+
+  /**
+   * @description Host record Id, set automatically on record pages or passed down by the dashboard
+   * Re-queries when the page navigates to a different record
+   */
+  @api
+  get recordId() {
+    return this._recordId;
+  }
+  set recordId(value) {
+    const changed = value !== this._recordId;
+    this._recordId = value;
+    if (changed && this.componentConfig) {
+      this.loadChartData();
+    }
+  }
+
+  @api objectApiName;
+
+  _filterContext = {};
+  _recordId;
+
+  // Component configuration
+  componentConfig = null;
+  isLoading = true;
+  isRefreshing = false;
+  error = null;
+  lastRefreshed = null;
+  _loadSequence = 0;
+  // Time of the last cache-bypassing refresh; sent with every request so later cacheable
+  // calls (filter or record changes) cannot return responses cached before it
+  _refreshedAt = null;
+
+  // Pivoted chart data: { categories: [{ key, label }], series: [{ key, label }], values: [[Number]] }
+  chartData = null;
+
+  connectedCallback() {
+    if (!this.componentId) {
+      this.error = {
+        message:
+          "Component ID is required. Please provide a componentId attribute."
+      };
+      this.isLoading = false;
+    }
+  }
+
+  // Wire component configuration
+  @wire(getComponentConfiguration, { componentId: "$componentId" })
+  wiredComponentConfig({ error, data }) {
+    if (data) {
+      this.componentConfig = data;
+      this.error = null;
+      this.loadChartData();
+    } else if (error) {
+      this.error = error;
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * @description Build the context map sent to executeComponentQuery
+   * Combines dashboard filter selections with the host record context
+   * @return {Object} Context for merge field replacement ({!filterName}, {!recordId})
+   */
+  get queryContext() {
+    const context = { ...this._filterContext };
+    if (this._recordId) {
+      context.recordId = this._recordId;
+      context.objectApiName = this.objectApiName;
+    }
+    if (this._refreshedAt) {
+      context.refreshedAt = this._refreshedAt;
+    }
+    return context;
+  }
+
+  /**
+   * @description Refresh chart data, bypassing the client-side cache
+   * Called by the chart's refresh button and by the parent dashboard
+   * @return {Promise} Resolves when the data has been reloaded
+   */
+  @api
+  refresh() {
+    return this.loadChartData({ bypassCache: true });
+  }
+
+  /**
+   * @description Load chart data based on configuration
+   * The spinner only replaces the chart on first load; later loads keep the current chart visible
+   * @param {Object} options - Load options
+   * @param {Boolean} options.bypassCache - Skip the cacheable Apex method (manual/scheduled refresh)
+   */
+  async loadChartData(options = {}) {
+    if (!this.componentConfig) {
+      return;
+    }
+
+    // Ignore responses from earlier loads that finish after a newer one started
+    const loadSequence = ++this._loadSequence;
+    const isInitialLoad = !this.lastRefreshed;
+    this.isLoading = isInitialLoad;
+    this.isRefreshing = !isInitialLoad;
+    this.error = null;
+
+    try {
+      if (options.bypassCache) {
+        this._refreshedAt = Date.now();
+      }
+      const queryMethod = options.bypassCache ? refreshComponentQuery : executeComponentQuery;
+      const response = await queryMethod({
+        componentId: this.componentId,
+        context: this.queryContext
+      });
+
+      if (loadSequence !== this._loadSequence) {
+        return;
+      }
+
+      if (response && response.success && response.shape === 'LIST') {
+        this.chartData = this.buildChartData(response.rows || []);
+      } else {
+        this.chartData = null;
+      }
+      this.lastRefreshed = new Date();
+    } catch (err) {
+      if (loadSequence === this._loadSequence) {
+        this.error = err;
+      }
+    } finally {
+      if (loadSequence === this._loadSequence) {
+        this.isLoading = false;
+        this.isRefreshing = false;
+      }
+    }
+  }
+
+  /**
+   * @description Handle refresh button click
+   * @param {Event} event - Click event
+   */
+  handleRefreshClick(event) {
+    event.stopPropagation();
+    this.refresh();
+  }
+
+  // ==================== DATA PIVOTING ====================
+
+  /**
+   * @description Build index map of detail maps by map type for O(1) lookups
+   * @param {Array} detailMaps - Array of detail map objects
+   * @return {Map} Map with mapType as key and detailMap as value
+   */
+  buildDetailMapIndex(detailMaps) {
+    const mapIndex = new Map();
+    if (!detailMaps || detailMaps.length === 0) {
+      return mapIndex;
+    }
+
+    for (const map of detailMaps) {
+      // Only store the first occurrence of each map type
+      if (map.mapType && !mapIndex.has(map.mapType)) {
+        mapIndex.set(map.mapType, map);
+      }
+    }
+
+    return mapIndex;
+  }
+
+  /**
+   * @description Pivot grouped rows into categories x series values
+   * Categories and series keep the order they first appear in, so the query's ORDER BY decides the axis order.
+   * Rows sharing a category and series are summed.
+   * @param {Array} rows - Rows from the LIST response (typically built from AggregateResult)
+   * @return {Object} Chart data, or null when there is nothing to plot
+   * @throws {Error} When the Chart Category or Chart Value mapping is missing
+   */
+  buildChartData(rows) {
+    const mapIndex = this.buildDetailMapIndex(this.componentConfig.detailMaps || []);
+    const categoryMap = mapIndex.get(HM_ConfigurableChart.MAP_TYPES.CATEGORY);
+    const valueMap = mapIndex.get(HM_ConfigurableChart.MAP_TYPES.VALUE);
+    const seriesMap = mapIndex.get(HM_ConfigurableChart.MAP_TYPES.SERIES);
+
+    if (!categoryMap || !valueMap) {
+      throw new Error(HM_ConfigurableChart.ERROR_MISSING_MAPPINGS);
+    }
+    if (!rows || rows.length === 0) {
+      return null;
+    }
+
+    const categories = [];
+    const categoryIndex = new Map();
+    const series = [];
+    const seriesIndex = new Map();
+    const entries = [];
+
+    for (const row of rows) {
+      const categoryValue = this.getFieldValue(row, categoryMap.fieldApiName);
+      const categoryKey = this.toKey(categoryValue);
+      if (!categoryIndex.has(categoryKey)) {
+        categoryIndex.set(categoryKey, categories.length);
+        categories.push({
+          key: categoryKey,
+          label: this.formatLabel(categoryValue, categoryMap.formatType)
+        });
+      }
+
+      let seriesKey = "";
+      if (seriesMap) {
+        const seriesValue = this.getFieldValue(row, seriesMap.fieldApiName);
+        seriesKey = this.toKey(seriesValue);
+        if (!seriesIndex.has(seriesKey)) {
+          seriesIndex.set(seriesKey, series.length);
+          series.push({
+            key: seriesKey,
+            label: this.formatLabel(seriesValue, seriesMap.formatType)
+          });
+        }
+      }
+
+      entries.push({
+        categoryIdx: categoryIndex.get(categoryKey),
+        seriesIdx: seriesMap ? seriesIndex.get(seriesKey) : 0,
+        value: this.parseNumber(this.getFieldValue(row, valueMap.fieldApiName))
+      });
+    }
+
+    if (!seriesMap) {
+      series.push({
+        key: "",
+        label: valueMap.label || HM_ConfigurableChart.DEFAULT_SERIES_LABEL
+      });
+    }
+
+    const values = series.map(() => categories.map(() => 0));
+    for (const entry of entries) {
+      values[entry.seriesIdx][entry.categoryIdx] += entry.value;
+    }
+
+    return {
+      categories,
+      series,
+      values,
+      hasSeries: !!seriesMap,
+      valueFormatType: valueMap.formatType
+    };
+  }
+
+  /**
+   * @description Convert a grouped field value into a stable lookup key
+   * @param {*} value - Raw field value
+   * @return {String} Key string (empty string for null values)
+   */
+  toKey(value) {
+    return value === null || value === undefined ? "" : String(value);
+  }
+
+  /**
+   * @description Format a category or series value for display
+   * @param {*} value - Raw field value
+   * @param {String} formatType - Format type from the detail map
+   * @return {String} Display label
+   */
+  formatLabel(value, formatType) {
+    if (value === null || value === undefined || value === "") {
+      return HM_ConfigurableChart.BLANK_LABEL;
+    }
+    return this.formatValue(value, formatType);
+  }
+
+  /**
+   * @description Get field value from data object (supports dot notation)
+   * Aggregate rows key grouped relationship fields by their last segment (Owner.Name => Name),
+   * so the last segment is tried when the full path does not resolve.
+   * @param {Object} data - Data object to get value from
+   * @param {String} fieldPath - Field path (supports dot notation for nested fields)
+   * @return {*} Field value or null if not found
+   */
+  getFieldValue(data, fieldPath) {
+    if (!data || !fieldPath) {
+      return null;
+    }
+
+    const parts = fieldPath.split(".");
+    let value = data;
+
+    for (const part of parts) {
+      if (value && typeof value === "object") {
+        value = value[part];
+      } else {
+        value = undefined;
+        break;
+      }
+    }
+
+    if (value === undefined && parts.length > 1) {
+      value = data[parts[parts.length - 1]];
+    }
+
+    return value === undefined ? null : value;
+  }
+
+  // ==================== CHART GEOMETRY ====================
+
+  /**
+   * @description Get configured chart type, defaulting to Bar
+   * @return {String} Chart type
+   */
+  get chartType() {
+    const configured = this.componentConfig?.chartType;
+    return Object.values(HM_ConfigurableChart.CHART_TYPES).includes(configured)
+      ? configured
+      : HM_ConfigurableChart.DEFAULT_CHART_TYPE;
+  }
+
+  get isDonut() {
+    return this.chartType === HM_ConfigurableChart.CHART_TYPES.DONUT;
+  }
+
+  get isLine() {
+    return this.chartType === HM_ConfigurableChart.CHART_TYPES.LINE;
+  }
+
+  get isStacked() {
+    return this.chartType === HM_ConfigurableChart.CHART_TYPES.STACKED_BAR;
+  }
+
+  get hasChartData() {
+    return !!this.chartData && this.chartData.categories.length > 0;
+  }
+
+  /**
+   * @description Get viewBox dimensions and axis density for the current container size
+   * @return {Object} Dimensions object
+   */
+  get dimensions() {
+    return HM_ConfigurableChart.CHART_DIMENSIONS[this.containerSize]
+      || HM_ConfigurableChart.CHART_DIMENSIONS.lg;
+  }
+
+  get viewBox() {
+    return `0 0 ${this.dimensions.width} ${this.dimensions.height}`;
+  }
+
+  /**
+   * @description Get the plot area inside the viewBox (excludes axis label space)
+   * @return {Object} Plot area with left, top, width, height, and bottom
+   */
+  get plotArea() {
+    const padding = HM_ConfigurableChart.PLOT_PADDING;
+    const { width, height } = this.dimensions;
+    return {
+      left: padding.LEFT,
+      top: padding.TOP,
+      width: width - padding.LEFT - padding.RIGHT,
+      height: height - padding.TOP - padding.BOTTOM,
+      bottom: height - padding.BOTTOM
+    };
+  }
+
+  /**
+   * @description Get the value axis scale with rounded tick values
+   * Stacked bars scale to the tallest category total; other charts to the largest single value.
+   * The axis always includes zero so bars grow from a common baseline.
+   * @return {Object} Scale with min, max, and ticks
+   */
+  get valueScale() {
+    let minValue = 0;
+    let maxValue = 0;
+
+    if (this.hasChartData) {
+      const { categories, values } = this.chartData;
+      if (this.isStacked) {
+        categories.forEach((category, categoryIdx) => {
+          const total = values.reduce((sum, seriesValues) => sum + Math.max(0, seriesValues[categoryIdx]), 0);
+          maxValue = Math.max(maxValue, total);
+        });
+      } else {
+        values.forEach((seriesValues) => {
+          seriesValues.forEach((value) => {
+            minValue = Math.min(minValue, value);
+            maxValue = Math.max(maxValue, value);
+          });
+        });
+      }
+    }
+
+    return this.computeScale(minValue, maxValue, this.dimensions.tickCount);
+  }
+
+  /**
+   * @description Compute a value scale that ends on round numbers
+   * @param {Number} minValue - Smallest value to plot (0 or negative)
+   * @param {Number} maxValue - Largest value to plot (0 or positive)
+   * @param {Number} tickCount - Approximate number of tick intervals
+   * @return {Object} Scale with min, max, and ticks
+   */
+  computeScale(minValue, maxValue, tickCount) {
+    if (minValue === maxValue) {
+      return { min: 0, max: 1, ticks: [0, 1] };
+    }
+
+    const step = this.niceStep((maxValue - minValue) / tickCount);
+    const min = Math.floor(minValue / step) * step;
+    const max = Math.ceil(maxValue / step) * step;
+    const ticks = [];
+    for (let i = 0; min + i * step <= max + step / 2; i++) {
+      // Round away floating point drift (0.1 + 0.2)
+      ticks.push(Number((min + i * step).toFixed(10)));
+    }
+
+    return { min, max, ticks };
+  }
+
+  /**
+   * @description Round a raw tick interval up to 1, 2, or 5 times a power of ten
+   * @param {Number} roughStep - Unrounded interval
+   * @return {Number} Rounded interval
+   */
+  niceStep(roughStep) {
+    const exponent = Math.floor(Math.log10(roughStep));
+    const magnitude = Math.pow(10, exponent);
+    const fraction = roughStep / magnitude;
+
+    let niceFraction = 10;
+    if (fraction <= 1) {
+      niceFraction = 1;
+    } else if (fraction <= 2) {
+      niceFraction = 2;
+    } else if (fraction <= 5) {
+      niceFraction = 5;
+    }
+    return niceFraction * magnitude;
+  }
+
+  /**
+   * @description Map a value to its y coordinate in the plot area
+   * @param {Number} value - Value to plot
+   * @param {Object} scale - Value scale
+   * @param {Object} plot - Plot area
+   * @return {Number} Y coordinate
+   */
+  scaleY(value, scale, plot) {
+    const ratio = (value - scale.min) / (scale.max - scale.min);
+    return this.round(plot.top + plot.height * (1 - ratio));
+  }
+
+  /**
+   * @description Round a coordinate to two decimals to keep SVG attributes short
+   * @param {Number} value - Coordinate
+   * @return {Number} Rounded coordinate
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * @description Get fill color for a series or donut slice
+   * @param {Number} index - Series or category index
+   * @return {String} Hex color
+   */
+  getColor(index) {
+    const palette = this.isDarkMode
+      ? HM_ConfigurableChart.SERIES_COLORS.DARK
+      : HM_ConfigurableChart.SERIES_COLORS.LIGHT;
+    return palette[index % palette.length];
+  }
+
+  /**
+   * @description Build tooltip text for a data point
+   * @param {Number} categoryIdx - Category index
+   * @param {Number} seriesIdx - Series index
+   * @return {String} Tooltip text
+   */
+  buildPointTooltip(categoryIdx, seriesIdx) {
+    const { categories, series, values, hasSeries, valueFormatType } = this.chartData;
+    const formatted = this.formatValue(values[seriesIdx][categoryIdx], valueFormatType);
+    const category = categories[categoryIdx].label;
+    return hasSeries
+      ? `${category} · ${series[seriesIdx].label}: ${formatted}`
+      : `${category}: ${formatted}`;
+  }
+
+  /**
+   * @description Get value axis gridlines and tick labels
+   * @return {Array} Tick objects with line and label coordinates
+   */
+  get axisTicks() {
+    if (!this.hasChartData || this.isDonut) {
+      return [];
+    }
+
+    const scale = this.valueScale;
+    const plot = this.plotArea;
+    return scale.ticks.map((tick) => {
+      const y = this.scaleY(tick, scale, plot);
+      return {
+        key: `tick-${tick}`,
+        x1: plot.left,
+        x2: plot.left + plot.width,
+        y,
+        labelX: plot.left - 6,
+        labelY: y + 4,
+        label: this.formatAxisValue(tick),
+        lineClass: tick === 0 ? "cc-chart-baseline" : "cc-chart-gridline"
+      };
+    });
+  }
+
+  /**
+   * @description Get category axis labels
+   * Skips labels when categories are denser than the container allows and truncates long labels
+   * @return {Array} Label objects with coordinates, display text, and full text
+   */
+  get categoryLabels() {
+    if (!this.hasChartData || this.isDonut) {
+      return [];
+    }
+
+    const plot = this.plotArea;
+    const { categories } = this.chartData;
+    const { labelLength, labelSpacing } = this.dimensions;
+    const band = plot.width / categories.length;
+    const maxLabels = Math.max(1, Math.floor(plot.width / labelSpacing));
+    const labelStep = Math.ceil(categories.length / maxLabels);
+
+    return categories
+      .map((category, categoryIdx) => ({
+        key: `label-${categoryIdx}`,
+        x: this.round(plot.left + band * (categoryIdx + 0.5)),
+        y: plot.bottom + 18,
+        text: this.truncate(category.label, labelLength),
+        fullText: category.label,
+        visible: categoryIdx % labelStep === 0
+      }))
+      .filter((label) => label.visible);
+  }
+
+  /**
+   * @description Get bar rectangles for bar and stacked bar charts
+   * Bar charts with a series mapping draw grouped bars side by side within each category
+   * @return {Array} Rect objects with coordinates, fill, and tooltip
+   */
+  get barRects() {
+    if (!this.hasChartData || this.isDonut || this.isLine) {
+      return [];
+    }
+
+    const scale = this.valueScale;
+    const plot = this.plotArea;
+    const { categories, series, values } = this.chartData;
+    const band = plot.width / categories.length;
+    const barGroupWidth = band * (1 - HM_ConfigurableChart.BAR_GAP_RATIO);
+    const groupOffset = (band - barGroupWidth) / 2;
+    const barWidth = this.isStacked ? barGroupWidth : barGroupWidth / series.length;
+    const zeroY = this.scaleY(0, scale, plot);
+    const rects = [];
+
+    categories.forEach((category, categoryIdx) => {
+      const groupX = plot.left + band * categoryIdx + groupOffset;
+      let stackTotal = 0;
+
+      series.forEach((seriesItem, seriesIdx) => {
+        const value = values[seriesIdx][categoryIdx];
+        let top;
+        let bottom;
+        let x = groupX;
+
+        if (this.isStacked) {
+          const segment = Math.max(0, value);
+          bottom = this.scaleY(stackTotal, scale, plot);
+          stackTotal += segment;
+          top = this.scaleY(stackTotal, scale, plot);
+        } else {
+          x = groupX + barWidth * seriesIdx;
+          const valueY = this.scaleY(value, scale, plot);
+          top = Math.min(valueY, zeroY);
+          bottom = Math.max(valueY, zeroY);
+        }
+
+        rects.push({
+          key: `bar-${categoryIdx}-${seriesIdx}`,
+          x: this.round(x),
+          y: top,
+          width: this.round(barWidth),
+          height: this.round(bottom - top),
+          fill: this.getColor(seriesIdx),
+          tooltip: this.buildPointTooltip(categoryIdx, seriesIdx)
+        });
+      });
+    });
+
+    return rects;
+  }
+
+  /**
+   * @description Get polylines and point markers for line charts (one line per series)
+   * @return {Array} Line objects with points, stroke, and markers
+   */
+  get linePaths() {
+    if (!this.hasChartData || !this.isLine) {
+      return [];
+    }
+
+    const scale = this.valueScale;
+    const plot = this.plotArea;
+    const { categories, series, values } = this.chartData;
+    const band = plot.width / categories.length;
+
+    return series.map((seriesItem, seriesIdx) => {
+      const color = this.getColor(seriesIdx);
+      const markers = categories.map((category, categoryIdx) => ({
+        key: `point-${seriesIdx}-${categoryIdx}`,
+        cx: this.round(plot.left + band * (categoryIdx + 0.5)),
+        cy: this.scaleY(values[seriesIdx][categoryIdx], scale, plot),
+        r: HM_ConfigurableChart.LINE_MARKER_RADIUS,
+        fill: color,
+        tooltip: this.buildPointTooltip(categoryIdx, seriesIdx)
+      }));
+
+      return {
+        key: `line-${seriesIdx}`,
+        points: markers.map((marker) => `${marker.cx},${marker.cy}`).join(" "),
+        stroke: color,
+        markers
+      };
+    });
+  }
+
+  /**
+   * @description Get category totals for donut charts (series are summed, negatives ignored)
+   * @return {Array} Totals per category
+   */
+  get categoryTotals() {
+    if (!this.hasChartData) {
+      return [];
+    }
+    const { categories, values } = this.chartData;
+    return categories.map((category, categoryIdx) =>
+      values.reduce((sum, seriesValues) => sum + Math.max(0, seriesValues[categoryIdx]), 0)
+    );
+  }
+
+  /**
+   * @description Get donut center point and radii for the current viewBox
+   * @return {Object} Center coordinates, outer and inner radius
+   */
+  get donutGeometry() {
+    const { width, height } = this.dimensions;
+    const outerRadius = height / 2 - HM_ConfigurableChart.DONUT_PADDING;
+    return {
+      cx: width / 2,
+      cy: height / 2,
+      outerRadius,
+      innerRadius: outerRadius * HM_ConfigurableChart.DONUT_INNER_RATIO
+    };
+  }
+
+  /**
+   * @description Get donut slice paths, one per category, sized by share of the total
+   * @return {Array} Slice objects with path data, fill, and tooltip
+   */
+  get donutSlices() {
+    if (!this.hasChartData || !this.isDonut) {
+      return [];
+    }
+
+    const totals = this.categoryTotals;
+    const grandTotal = totals.reduce((sum, total) => sum + total, 0);
+    if (grandTotal <= 0) {
+      return [];
+    }
+
+    const geometry = this.donutGeometry;
+    const { categories, valueFormatType } = this.chartData;
+    const slices = [];
+    let startAngle = 0;
+
+    totals.forEach((total, categoryIdx) => {
+      if (total <= 0) {
+        return;
+      }
+      const sweep = Math.min((total / grandTotal) * 2 * Math.PI, HM_ConfigurableChart.MAX_ARC_ANGLE);
+      const endAngle = startAngle + sweep;
+      const percent = ((total / grandTotal) * 100).toFixed(1);
+
+      slices.push({
+        key: `slice-${categoryIdx}`,
+        d: this.describeDonutSlice(geometry, startAngle, endAngle),
+        fill: this.getColor(categoryIdx),
+        tooltip: `${categories[categoryIdx].label}: ${this.formatValue(total, valueFormatType)} (${percent}%)`
+      });
+      startAngle = endAngle;
+    });
+
+    return slices;
+  }
+
+  /**
+   * @description Get the formatted grand total shown in the donut hole
+   * @return {String} Formatted total
+   */
+  get donutTotalLabel() {
+    if (!this.hasChartData) {
+      return "";
+    }
+    const grandTotal = this.categoryTotals.reduce((sum, total) => sum + total, 0);
+    return this.formatValue(grandTotal, this.chartData.valueFormatType);
+  }
+
+  /**
+   * @description Build SVG path data for a donut slice
+   * Angles are in radians, measured clockwise from twelve o'clock
+   * @param {Object} geometry - Donut center and radii
+   * @param {Number} startAngle - Slice start angle
+   * @param {Number} endAngle - Slice end angle
+   * @return {String} SVG path data
+   */
+  describeDonutSlice(geometry, startAngle, endAngle) {
+    const { cx, cy, outerRadius, innerRadius } = geometry;
+    const point = (radius, angle) =>
+      `${this.round(cx + radius * Math.sin(angle))} ${this.round(cy - radius * Math.cos(angle))}`;
+    const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+    const outerR = this.round(outerRadius);
+    const innerR = this.round(innerRadius);
+
+    return [
+      `M ${point(outerRadius, startAngle)}`,
+      `A ${outerR} ${outerR} 0 ${largeArc} 1 ${point(outerRadius, endAngle)}`,
+      `L ${point(innerRadius, endAngle)}`,
+      `A ${innerR} ${innerR} 0 ${largeArc} 0 ${point(innerRadius, startAngle)}`,
+      "Z"
+    ].join(" ");
+  }
+
+  // ==================== LEGEND & ACCESSIBILITY ====================
+
+  /**
+   * @description Get legend entries
+   * Donuts list categories with their share; other charts list series when a series mapping exists
+   * @return {Array} Legend items with label, swatch style, and optional detail text
+   */
+  get legendItems() {
+    if (!this.hasChartData) {
+      return [];
+    }
+
+    const { categories, series, hasSeries, valueFormatType } = this.chartData;
+
+    if (this.isDonut) {
+      const totals = this.categoryTotals;
+      const grandTotal = totals.reduce((sum, total) => sum + total, 0);
+      return categories.map((category, categoryIdx) => ({
+        key: `legend-${categoryIdx}`,
+        label: category.label,
+        swatchStyle: `background-color: ${this.getColor(categoryIdx)};`,
+        detail: grandTotal > 0
+          ? `${this.formatValue(totals[categoryIdx], valueFormatType)} · ${((totals[categoryIdx] / grandTotal) * 100).toFixed(1)}%`
+          : null
+      }));
+    }
+
+    if (!hasSeries) {
+      return [];
+    }
+
+    return series.map((seriesItem, seriesIdx) => ({
+      key: `legend-${seriesIdx}`,
+      label: seriesItem.label,
+      swatchStyle: `background-color: ${this.getColor(seriesIdx)};`,
+      detail: null
+    }));
+  }
+
+  get showLegend() {
+    return this.legendItems.length > 0;
+  }
+
+  /**
+   * @description Get header cells for the assistive data table
+   * @return {Array} Series header cells
+   */
+  get tableHeaders() {
+    if (!this.hasChartData) {
+      return [];
+    }
+    return this.chartData.series.map((seriesItem, seriesIdx) => ({
+      key: `header-${seriesIdx}`,
+      label: seriesItem.label
+    }));
+  }
+
+  /**
+   * @description Get rows for the assistive data table (one row per category)
+   * @return {Array} Rows with category label and formatted cells per series
+   */
+  get tableRows() {
+    if (!this.hasChartData) {
+      return [];
+    }
+    const { categories, series, values, valueFormatType } = this.chartData;
+    return categories.map((category, categoryIdx) => ({
+      key: `row-${categoryIdx}`,
+      label: category.label,
+      cells: series.map((seriesItem, seriesIdx) => ({
+        key: `cell-${categoryIdx}-${seriesIdx}`,
+        text: this.formatValue(values[seriesIdx][categoryIdx], valueFormatType)
+      }))
+    }));
+  }
+
+  /**
+   * @description Get accessible label for the chart graphic
+   * @return {String} Chart type and title
+   */
+  get chartAriaLabel() {
+    return `${this.chartType} chart: ${this.title}`;
+  }
+
+  /**
+   * @description Get chart body class, which stacks the legend under the chart on small containers
+   * @return {String} CSS class string
+   */
+  get chartBodyClass() {
+    const stacked = this.containerSize === 'xs' || this.containerSize === 'sm' || !this.isDonut;
+    return stacked ? "cc-chart-body cc-chart-body--stacked" : "cc-chart-body";
+  }
+
+  // ==================== FORMATTING ====================
+
+  /**
+   * @description Truncate a label to a maximum length with an ellipsis
+   * @param {String} text - Label text
+   * @param {Number} maxLength - Maximum number of characters
+   * @return {String} Truncated label
+   */
+  truncate(text, maxLength) {
+    if (!text || text.length <= maxLength) {
+      return text;
+    }
+    return text.substring(0, maxLength - 1) + HM_ConfigurableChart.ELLIPSIS;
+  }
+
+  /**
+   * @description Format a value axis tick in compact form
+   * @param {Number} value - Tick value
+   * @return {String} Formatted tick label
+   */
+  formatAxisValue(value) {
+    const formatType = this.chartData?.valueFormatType;
+    if (formatType === "Currency" || formatType === "Percent") {
+      return this.formatValue(value, formatType);
+    }
+    return new Intl.NumberFormat(undefined, { notation: "compact" }).format(value);
+  }
+
+  /**
+   * @description Format value based on format type
+   * @param {*} value - Value to format
+   * @param {String} formatType - Format type (Currency, Number, Percent, Date)
+   * @return {String} Formatted value string
+   */
+  formatValue(value, formatType) {
+    const normalizedFormatType = formatType ? String(formatType).trim() : null;
+
+    if (value === null || value === undefined) {
+      if (normalizedFormatType === "Currency") {
+        return "$0";
+      }
+      return "0";
+    }
+
+    switch (normalizedFormatType) {
+      case "Currency":
+        return this.formatCurrency(value);
+      case "Number":
+        return this.formatNumber(value);
+      case "Percent":
+        return this.formatPercent(value);
+      case "Date":
+        return this.formatDate(value);
+      default:
+        return typeof value === "number" ? this.formatNumber(value) : String(value);
+    }
+  }
+
+  /**
+   * @description Parse number from value
+   * @param {*} value - Value to parse as number
+   * @return {Number} Parsed number, or 0 if invalid
+   */
+  parseNumber(value) {
+    if (typeof value === "number") {
+      return value;
+    }
+    if (typeof value === "string") {
+      const cleaned = value.replace("%", "").trim();
+      const parsed = parseFloat(cleaned);
+      return isNaN(parsed) ? 0 : parsed;
+    }
+    return 0;
+  }
+
+  /**
+   * @description Format currency value
+   * @param {*} value - Numeric value to format
+   * @return {String} Formatted currency string (e.g., $1.5M, $5K, $100, $0)
+   */
+  formatCurrency(value) {
+    const num = this.parseNumber(value);
+    const sign = num < 0 ? "-" : "";
+    const abs = Math.abs(num);
+    if (abs === 0) {
+      return "$0";
+    }
+    if (abs >= 1000000) {
+      return `${sign}$${(abs / 1000000).toFixed(1)}M`;
+    }
+    if (abs >= 1000) {
+      return `${sign}$${(abs / 1000).toFixed(0)}K`;
+    }
+    return `${sign}$${abs.toFixed(0)}`;
+  }
+
+  /**
+   * @description Format number value
+   * @param {*} value - Numeric value to format
+   * @return {String} Formatted number string with locale formatting
+   */
+  formatNumber(value) {
+    return this.parseNumber(value).toLocaleString();
+  }
+
+  /**
+   * @description Format percent value
+   * @param {*} value - Numeric value to format
+   * @return {String} Formatted percent string
+   */
+  formatPercent(value) {
+    return `${this.parseNumber(value).toFixed(1)}%`;
+  }
+
+  /**
+   * @description Format date value
+   * @param {*} value - Date value to format
+   * @return {String} Formatted date string
+   */
+  formatDate(value) {
+    if (!value) {
+      return "";
+    }
+
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      // Date-only strings are parsed as UTC by default; treat them as local dates
+      return new Date(value + "T00:00:00").toLocaleDateString();
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+  }
+
+  // ==================== DISPLAY ====================
+
+  /**
+   * @description Extract error message from error object
+   * Handles different error formats (AuraHandledException, standard errors, strings)
+   * @param {Object|String} error - Error object or string
+   * @return {String} Extracted error message
+   */
+  extractErrorMessage(error) {
+    if (!error) {
+      return "Unknown error";
+    }
+    if (error.body?.message) {
+      return error.body.message;
+    }
+    if (error.message) {
+      return error.message;
+    }
+    if (typeof error === "string") {
+      return error;
+    }
+    return "Unknown error occurred";
+  }
+
+  /**
+   * @description Get formatted error message for display
+   * @return {String} Extracted error message
+   */
+  get errorMessage() {
+    return this.extractErrorMessage(this.error);
+  }
+
+  /**
+   * @description Get title from configuration
+   */
+  get title() {
+    return this.componentConfig?.title || "";
+  }
+
+  /**
+   * @description Get subtitle from configuration
+   */
+  get subtitle() {
+    return this.componentConfig?.subtitle || "";
+  }
+
+  /**
+   * @description Get header icon from configuration
+   * @return {String|null} Icon name, or null when not configured
+   */
+  get headerIcon() {
+    const iconName = this.componentConfig?.iconName;
+    return iconName && iconName.trim().length > 0 ? iconName : null;
+  }
+
+  /**
+   * @description Get container class with dark mode support
+   */
+  get containerClass() {
+    return this.isDarkMode
+      ? HM_ConfigurableChart.CSS_CLASSES.CONTAINER_DARK
+      : HM_ConfigurableChart.CSS_CLASSES.CONTAINER;
+  }
+
+  /**
+   * @description Get refresh button variant with dark mode support
+   */
+  get refreshButtonVariant() {
+    return this.isDarkMode ? "bare-inverse" : "bare";
+  }
+
+  /**
+   * @description Get refresh button CSS class (spins while a refresh is in flight)
+   */
+  get refreshButtonClass() {
+    return this.isRefreshing
+      ? HM_ConfigurableChart.CSS_CLASSES.REFRESH_BUTTON_ACTIVE
+      : HM_ConfigurableChart.CSS_CLASSES.REFRESH_BUTTON;
+  }
+}
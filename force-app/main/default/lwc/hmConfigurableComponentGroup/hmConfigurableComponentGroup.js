@@ -9,7 +9,8 @@ export default class HM_ConfigurableComponentGroup extends LightningElement {
   // ==================== CONSTANTS ====================
   static COMPONENT_TYPES = {
     TILE: "Tile",
-    LIST: "List"
+    LIST: "List",
+    CHART: "Chart"
   };
 
   static LAYOUT_TYPES = {
@@ -31,6 +32,9 @@ export default class HM_ConfigurableComponentGroup extends LightningElement {
   // ==================== PUBLIC PROPERTIES ====================
   @api componentGroupId;
   @api isDarkMode = false;
+  @api filterContext = {}; // Dashboard filter selections passed through to components
+  @api recordId; // Host record page context passed through to components
+  @api objectApiName;
 
   // Group configuration
   groupConfig = null;
@@ -133,6 +137,39 @@ export default class HM_ConfigurableComponentGroup extends LightningElement {
     this.isLoading = false;
   }
 
+  /**
+   * @description Refresh every tile, list, and chart in this group, bypassing the client cache
+   * @return {Promise} Resolves when all components have reloaded
+   */
+  @api
+  refresh() {
+    const components = this.template.querySelectorAll(
+      "c-hm-configurable-tile, c-hm-configurable-list, c-hm-configurable-chart"
+    );
+    return Promise.all(
+      Array.from(components).map((component) => component.refresh())
+    );
+  }
+
+  /**
+   * @description Refresh only the given components in this group, bypassing the client cache
+   * Used by the dashboard when change events affect a subset of components
+   * @param {Array} componentIds - IDs of the components to refresh
+   * @return {Promise} Resolves when the matching components have reloaded
+   */
+  @api
+  refreshComponents(componentIds) {
+    const ids = new Set(componentIds || []);
+    const components = this.template.querySelectorAll(
+      "c-hm-configurable-tile, c-hm-configurable-list, c-hm-configurable-chart"
+    );
+    return Promise.all(
+      Array.from(components)
+        .filter((component) => ids.has(component.dataset.componentId))
+        .map((component) => component.refresh())
+    );
+  }
+
   /**
    * @description Get container class with dark mode support
    * @return {String} CSS class string for container
@@ -252,8 +289,8 @@ export default class HM_ConfigurableComponentGroup extends LightningElement {
 
   /**
    * @description Get components from configuration with type flags
-   * Filters out components without a valid type and adds isTile/isList flags
-   * Also adds itemClass for grid layout (lists span full width)
+   * Filters out components without a valid type and adds isTile/isList/isChart flags
+   * Also adds itemClass for grid layout (lists and charts span full width)
    * @return {Array} Array of component objects with type flags and itemClass
    */
   get components() {
@@ -270,12 +307,14 @@ export default class HM_ConfigurableComponentGroup extends LightningElement {
       .map((comp) => {
         const isTile = comp.type === HM_ConfigurableComponentGroup.COMPONENT_TYPES.TILE;
         const isList = comp.type === HM_ConfigurableComponentGroup.COMPONENT_TYPES.LIST;
-        // Lists span full width across all grid columns
-        const itemClass = isList ? 'hm-group-item hm-group-item--full-width' : 'hm-group-item';
+        const isChart = comp.type === HM_ConfigurableComponentGroup.COMPONENT_TYPES.CHART;
+        // Lists and charts span full width across all grid columns
+        const itemClass = isList || isChart ? 'hm-group-item hm-group-item--full-width' : 'hm-group-item';
         return {
           ...comp,
           isTile,
           isList,
+          isChart,
           itemClass
         };
       });
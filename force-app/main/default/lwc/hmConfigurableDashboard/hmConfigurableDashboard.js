@@ -1,5 +1,6 @@
 import { LightningElement, api, wire } from "lwc";
 import { NavigationMixin } from "lightning/navigation";
+import { subscribe, unsubscribe, isEmpEnabled } from "lightning/empApi";
 import getUserName from "@salesforce/apex/HM_DashboardController.getUserName";
 import getDashboardConfiguration from "@salesforce/apex/HM_DashboardConfigService.getDashboardConfiguration";
 
@@ -12,6 +13,10 @@ import getDashboardConfiguration from "@salesforce/apex/HM_DashboardConfigServic
  * - Render component groups with their nested tiles and lists
  * - Actions menu with standard actions (New Opp, New Case, etc.) and custom actions
  * - Dark mode toggle with persistence and propagation to child components
+ * - Dashboard-wide filter bar whose selections reach every component query as {!filterName}
+ * - Record page context ({!recordId}) passed through groups to every component query
+ * - Manual "refresh all" and optional scheduled auto-refresh of every component
+ * - Optional live updates: Change Data Capture events re-query only the affected components
  * - Navigation support for object pages, record pages, and LWC components
  */
 export default class HM_ConfigurableDashboard extends NavigationMixin(
@@ -59,9 +64,26 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
     SETTINGS: "utility:settings"
   };
 
+  static MS_PER_MINUTE = 60000;
+
+  static LIVE_UPDATES = {
+    CHANNEL_PREFIX: "/data/",
+    CHANNEL_SUFFIX: "ChangeEvent",
+    CUSTOM_OBJECT_SUFFIX: "__c",
+    REPLAY_NEW_EVENTS: -1,
+    DEBOUNCE_MS: 2000
+  };
+
+  static FILTER_ALL_OPTION = {
+    label: "All",
+    value: ""
+  };
+
   // ==================== PUBLIC PROPERTIES ====================
   @api dashboardId;
   @api dashboardName;
+  @api recordId; // Host record when placed on a record page
+  @api objectApiName; // Host record's object when placed on a record page
 
   // Theme properties
   isDarkMode = false;
@@ -83,6 +105,27 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
   darkModeStyleId = HM_ConfigurableDashboard.DEFAULT_VALUES.DARK_MODE_STYLE_ID;
   menuStyleTimeoutId = null;
 
+  // Filter bar configuration and state
+  filters = [];
+  filterValues = {};
+  filterContext = {};
+  filtersInitialized = false;
+
+  // Refresh state
+  autoRefreshInterval = 0; // Minutes; 0 disables scheduled refresh
+  autoRefreshIntervalId = null;
+  isRefreshing = false;
+  lastRefreshed = null;
+  refreshError = null; // Last failed refresh; lastRefreshed keeps the last successful one
+
+  // Live update (Change Data Capture) state
+  enableLiveUpdates = false;
+  liveUpdateSubscriptions = [];
+  changeEventRoutes = new Map(); // objectApiName -> [{ groupId, componentId }]
+  pendingLiveUpdates = new Map(); // groupId -> Set of componentIds
+  liveUpdateTimeoutId = null;
+  _liveUpdateGeneration = 0;
+
   // Wire user name
   @wire(getUserName)
   wiredUserName({ data }) {
@@ -114,6 +157,17 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
           this.isDarkMode = false;
         }
 
+        // Keep the user's selections when the configuration is re-delivered
+        if (!this.filtersInitialized) {
+          this.initializeFilters(data.dashboard.filters);
+        }
+
+        this.autoRefreshInterval = data.dashboard.autoRefreshInterval || 0;
+        this.startAutoRefresh();
+
+        this.enableLiveUpdates = data.dashboard.enableLiveUpdates === true;
+        this.startLiveUpdates();
+
         // Propagate dark mode after initialization
         this.propagateDarkMode();
       }
@@ -198,6 +252,333 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
     return this.dashboardConfig?.groups || [];
   }
 
+  /**
+   * @description Check if the dashboard has a filter bar configured
+   */
+  get hasFilters() {
+    return this.filters.length > 0;
+  }
+
+  /**
+   * @description Check if any filter has a selection other than All
+   */
+  get hasActiveFilters() {
+    return Object.values(this.filterValues).some((value) => value);
+  }
+
+  /**
+   * @description Get filter bar controls with "All" prepended to each option list
+   */
+  get filterControls() {
+    return this.filters.map((filter) => ({
+      name: filter.name,
+      label: filter.label,
+      value: this.filterValues[filter.name] || "",
+      options: [
+        HM_ConfigurableDashboard.FILTER_ALL_OPTION,
+        ...filter.options.map((option) => ({
+          label: option.label,
+          value: option.value
+        }))
+      ]
+    }));
+  }
+
+  /**
+   * @description Initialize filter definitions and default selections
+   * @param {Array} filters - Filter definitions from dashboard configuration
+   */
+  initializeFilters(filters) {
+    this.filters = (filters || []).map((filter) => ({
+      ...filter,
+      options: filter.options || []
+    }));
+
+    const values = {};
+    this.filters.forEach((filter) => {
+      const hasDefault = filter.options.some(
+        (option) => option.value === filter.defaultValue
+      );
+      values[filter.name] = hasDefault ? filter.defaultValue : "";
+    });
+
+    this.filterValues = values;
+    this.filterContext = this.buildFilterContext();
+    this.filtersInitialized = true;
+  }
+
+  /**
+   * @description Build the query context sent to every component
+   * Unselected filters are sent as null so the server ignores conditions on them
+   * @return {Object} Map of filter name to the selected option's context value
+   */
+  buildFilterContext() {
+    const context = {};
+    this.filters.forEach((filter) => {
+      const selected = filter.options.find(
+        (option) => option.value === this.filterValues[filter.name]
+      );
+      context[filter.name] = selected ? selected.contextValue : null;
+    });
+    return context;
+  }
+
+  /**
+   * @description Handle a filter selection change
+   * Assigning a new context object re-queries all components
+   * @param {Event} event - Change event from lightning-combobox
+   */
+  handleFilterChange(event) {
+    const filterName = event.target.dataset.filterName;
+    if (!filterName) {
+      return;
+    }
+
+    this.filterValues = {
+      ...this.filterValues,
+      [filterName]: event.detail.value
+    };
+    this.filterContext = this.buildFilterContext();
+  }
+
+  /**
+   * @description Reset all filters to All
+   */
+  handleClearFilters() {
+    const values = {};
+    this.filters.forEach((filter) => {
+      values[filter.name] = "";
+    });
+    this.filterValues = values;
+    this.filterContext = this.buildFilterContext();
+  }
+
+  /**
+   * @description Get refresh button variant for dark mode
+   */
+  get refreshButtonVariant() {
+    return this.isDarkMode ? "bare-inverse" : "bare";
+  }
+
+  /**
+   * @description Get refresh button tooltip, including the schedule when auto-refresh is on
+   */
+  get refreshButtonTitle() {
+    return this.autoRefreshInterval > 0
+      ? `Refresh all (auto-refreshes every ${this.autoRefreshInterval} min)`
+      : "Refresh all";
+  }
+
+  /**
+   * @description Refresh every component on the dashboard, bypassing the client cache
+   * Never rejects, so the refresh schedule can call it without handling its promise; a failure
+   * keeps the last successful time and is shown in the header instead
+   * @return {Promise} Resolves when all groups have reloaded or the refresh failed
+   */
+  async refreshAll() {
+    if (this.isRefreshing) {
+      return;
+    }
+
+    this.isRefreshing = true;
+    try {
+      const groupComponents = this.template.querySelectorAll(
+        "c-hm-configurable-component-group"
+      );
+      await Promise.all(
+        Array.from(groupComponents).map((group) => group.refresh())
+      );
+      this.lastRefreshed = new Date();
+      this.refreshError = null;
+    } catch (error) {
+      this.refreshError = error;
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  /**
+   * @description Handle refresh button click in the header
+   */
+  handleRefreshClick() {
+    this.refreshAll();
+  }
+
+  /**
+   * @description Start the scheduled refresh configured on the dashboard
+   * Replaces any running schedule so re-delivered configuration does not stack timers
+   */
+  startAutoRefresh() {
+    this.stopAutoRefresh();
+    if (this.autoRefreshInterval > 0) {
+      // eslint-disable-next-line @lwc/lwc/no-async-operation
+      this.autoRefreshIntervalId = setInterval(() => {
+        this.refreshAll();
+      }, this.autoRefreshInterval * HM_ConfigurableDashboard.MS_PER_MINUTE);
+    }
+  }
+
+  /**
+   * @description Stop the scheduled refresh
+   */
+  stopAutoRefresh() {
+    if (this.autoRefreshIntervalId) {
+      clearInterval(this.autoRefreshIntervalId);
+      this.autoRefreshIntervalId = null;
+    }
+  }
+
+  // ==================== LIVE UPDATES ====================
+
+  /**
+   * @description Subscribe to change events for every object the dashboard's data sources query
+   * Replaces existing subscriptions so re-delivered configuration does not subscribe twice
+   */
+  async startLiveUpdates() {
+    this.stopLiveUpdates();
+    if (!this.enableLiveUpdates) {
+      return;
+    }
+
+    // Subscriptions that resolve after a newer start/stop are discarded
+    const generation = this._liveUpdateGeneration;
+
+    try {
+      const empEnabled = await isEmpEnabled();
+      if (!empEnabled || generation !== this._liveUpdateGeneration) {
+        return;
+      }
+
+      this.changeEventRoutes = this.buildChangeEventRoutes();
+      const objectApiNames = Array.from(this.changeEventRoutes.keys());
+      const subscriptions = await Promise.all(
+        objectApiNames.map((objectApiName) =>
+          subscribe(
+            this.getChangeEventChannel(objectApiName),
+            HM_ConfigurableDashboard.LIVE_UPDATES.REPLAY_NEW_EVENTS,
+            (message) => this.handleChangeEvent(message)
+          ).catch(() => null) // Object not enabled for Change Data Capture - skip it
+        )
+      );
+
+      const activeSubscriptions = subscriptions.filter(Boolean);
+      if (generation !== this._liveUpdateGeneration) {
+        activeSubscriptions.forEach((subscription) => unsubscribe(subscription, () => {}));
+        return;
+      }
+      this.liveUpdateSubscriptions = activeSubscriptions;
+    } catch {
+      // Live updates are best-effort; manual and scheduled refresh still work
+      this.liveUpdateSubscriptions = [];
+    }
+  }
+
+  /**
+   * @description Unsubscribe from all change events and drop pending updates
+   */
+  stopLiveUpdates() {
+    this._liveUpdateGeneration++;
+    this.liveUpdateSubscriptions.forEach((subscription) => {
+      unsubscribe(subscription, () => {});
+    });
+    this.liveUpdateSubscriptions = [];
+    this.pendingLiveUpdates = new Map();
+    if (this.liveUpdateTimeoutId) {
+      clearTimeout(this.liveUpdateTimeoutId);
+      this.liveUpdateTimeoutId = null;
+    }
+  }
+
+  /**
+   * @description Map each queried object to the components whose data sources query it
+   * @return {Map} objectApiName -> array of { groupId, componentId }
+   */
+  buildChangeEventRoutes() {
+    const routes = new Map();
+    this.groups.forEach((group) => {
+      (group.components || []).forEach((component) => {
+        (component.dataSources || []).forEach((dataSource) => {
+          const objectApiName = dataSource.objectApiName;
+          if (!objectApiName) {
+            return;
+          }
+          if (!routes.has(objectApiName)) {
+            routes.set(objectApiName, []);
+          }
+          routes.get(objectApiName).push({
+            groupId: group.id,
+            componentId: component.id
+          });
+        });
+      });
+    });
+    return routes;
+  }
+
+  /**
+   * @description Build the Change Data Capture channel for an object
+   * Standard objects use AccountChangeEvent; custom objects use My_Object__ChangeEvent
+   * @param {String} objectApiName - Object API name
+   * @return {String} Channel name (e.g., /data/AccountChangeEvent)
+   */
+  getChangeEventChannel(objectApiName) {
+    const { CHANNEL_PREFIX, CHANNEL_SUFFIX, CUSTOM_OBJECT_SUFFIX } =
+      HM_ConfigurableDashboard.LIVE_UPDATES;
+    const baseName = objectApiName.endsWith(CUSTOM_OBJECT_SUFFIX)
+      ? objectApiName.slice(0, -1) // My_Object__c -> My_Object__
+      : objectApiName;
+    return `${CHANNEL_PREFIX}${baseName}${CHANNEL_SUFFIX}`;
+  }
+
+  /**
+   * @description Queue the components affected by a change event
+   * Events are coalesced so a burst of changes triggers one refresh per component
+   * @param {Object} message - empApi message
+   */
+  handleChangeEvent(message) {
+    const entityName = message?.data?.payload?.ChangeEventHeader?.entityName;
+    const routes = this.changeEventRoutes.get(entityName);
+    if (!routes) {
+      return;
+    }
+
+    routes.forEach(({ groupId, componentId }) => {
+      if (!this.pendingLiveUpdates.has(groupId)) {
+        this.pendingLiveUpdates.set(groupId, new Set());
+      }
+      this.pendingLiveUpdates.get(groupId).add(componentId);
+    });
+
+    if (!this.liveUpdateTimeoutId) {
+      // eslint-disable-next-line @lwc/lwc/no-async-operation
+      this.liveUpdateTimeoutId = setTimeout(() => {
+        this.liveUpdateTimeoutId = null;
+        this.flushLiveUpdates();
+      }, HM_ConfigurableDashboard.LIVE_UPDATES.DEBOUNCE_MS);
+    }
+  }
+
+  /**
+   * @description Refresh the queued components in their groups
+   * A failed reload is shown in the header like a failed refresh
+   */
+  flushLiveUpdates() {
+    const pending = this.pendingLiveUpdates;
+    this.pendingLiveUpdates = new Map();
+
+    const groupComponents = this.template.querySelectorAll(
+      "c-hm-configurable-component-group"
+    );
+    groupComponents.forEach((group) => {
+      const componentIds = pending.get(group.componentGroupId);
+      if (componentIds) {
+        group.refreshComponents(Array.from(componentIds)).catch((error) => {
+          this.refreshError = error;
+        });
+      }
+    });
+  }
+
   /**
    * @description Get all menu items (dark mode toggle + actions)
    */
@@ -264,6 +645,14 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
     return this.extractErrorMessage(this.error);
   }
 
+  /**
+   * @description Get the message of the last failed refresh for display
+   * @return {String} Extracted error message
+   */
+  get refreshErrorMessage() {
+    return this.extractErrorMessage(this.refreshError);
+  }
+
   /**
    * @description Handle menu open event
    * Sets up menu styling and observation for dark mode support
@@ -620,9 +1009,21 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
     }
   }
 
+  /**
+   * @description Restart the refresh schedule and change event subscriptions when the dashboard
+   * is shown again (tab switch, re-insertion); on first connect the configuration wire starts them
+   */
+  connectedCallback() {
+    if (this.dashboardConfig) {
+      this.startAutoRefresh();
+      this.startLiveUpdates();
+    }
+  }
+
   /**
    * @description Cleanup on component disconnect
-   * Clears observers, timeouts, and removes injected styles
+   * Clears observers, timeouts, the auto-refresh schedule, change event subscriptions,
+   * and removes injected styles
    */
   disconnectedCallback() {
     if (this.menuObserver) {
@@ -633,6 +1034,8 @@ export default class HM_ConfigurableDashboard extends NavigationMixin(
       clearTimeout(this.menuStyleTimeoutId);
       this.menuStyleTimeoutId = null;
     }
+    this.stopAutoRefresh();
+    this.stopLiveUpdates();
     this.removeDarkModeStyles();
   }
 }
\ No newline at end of file
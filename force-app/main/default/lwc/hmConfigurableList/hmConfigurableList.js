@@ -1,7 +1,26 @@
 import { LightningElement, api, wire } from "lwc";
 import { NavigationMixin } from "lightning/navigation";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import LightningConfirm from "lightning/confirm";
+import { getObjectInfo, getObjectInfos } from "lightning/uiObjectInfoApi";
+import { deleteRecord, getRecord, updateRecord } from "lightning/uiRecordApi";
+import HmChangeOwnerModal from "c/hmChangeOwnerModal";
+import HmFlowModal from "c/hmFlowModal";
+import HmMassUpdateModal from "c/hmMassUpdateModal";
+import HmColumnChooserModal from "c/hmColumnChooserModal";
+import { EXPORT_FORMATS, downloadExport } from "c/hmExportUtils";
+import { RICH_FORMAT_TYPES, buildDisplayValue, formatDisplayText, isRichFormatType } from "c/hmFormatUtils";
 import getComponentConfiguration from "@salesforce/apex/HM_DashboardConfigService.getComponentConfiguration";
 import executeComponentQuery from "@salesforce/apex/HM_ComponentDataService.executeComponentQuery";
+import refreshComponentQuery from "@salesforce/apex/HM_ComponentDataService.refreshComponentQuery";
+import getRecordAccess from "@salesforce/apex/HM_ComponentDataService.getRecordAccess";
+import getListPreferences from "@salesforce/apex/HM_ListPreferenceService.getListPreferences";
+import saveListPreferences from "@salesforce/apex/HM_ListPreferenceService.saveListPreferences";
+import resetListPreferences from "@salesforce/apex/HM_ListPreferenceService.resetListPreferences";
+
+// Column preferences loaded or saved in this session, by component ID, so reloading a list
+// does not query them again
+const columnPreferencesCache = new Map();
 
 /**
  * @description Configurable list component for displaying tabular data
@@ -9,11 +28,24 @@ import executeComponentQuery from "@salesforce/apex/HM_ComponentDataService.exec
  * 
  * Key capabilities:
  * - Object-specific column visibility based on record type
- * - Pagination with configurable page size
+ * - Pagination with configurable page size, optionally paged and sorted on the server
  * - Column sorting (ascending/descending)
  * - Dynamic filters based on object types in data
- * - Custom badge rendering for date fields (days until/over)
+ * - Search box matching the displayed values of visible columns, with highlighting
+ * - Per-column filter popovers (value multi-select, date range, number range) shown as chips
+ * - Inline editing of editable columns, saved with updateRecord (FLS enforced by UI API)
+ * - Row action menu (edit, delete, clone, change owner, flow, quick action) per object type
+ * - Row selection across pages and filters with mass update, owner change and delete
+ * - CSV and Excel export of the filtered, sorted rows (formatted or raw values)
+ * - Row grouping by a column with collapsible sections, counts and Sum/Avg subtotals
+ * - Footer aggregates (Sum, Average, Min, Max, Count) per column over the current filter
+ * - Per-user column chooser (show/hide, reorder) and resizable columns, saved per component
+ * - Relationship columns (e.g. Account.Name) link to the related record, with a hover preview
+ * - Virtual scrolling for long unpaginated lists (only the rows in view are rendered)
+ * - Expandable rows showing child records (SOQL subqueries or child data sources) in mini-tables
+ * - Custom badge rendering: days until/over for date fields, or value-based badge rules (=, >, in, ...)
  * - Row icons from data source configuration
+ * - Manual refresh (bypassing the client cache) with a "last refreshed" timestamp
  * - Dark mode support
  */
 export default class HM_ConfigurableList extends NavigationMixin(
@@ -21,7 +53,17 @@ export default class HM_ConfigurableList extends NavigationMixin(
 ) {
   // ==================== CONSTANTS ====================
   static MAP_TYPES = {
-    LIST_COLUMN: "List Column"
+    LIST_COLUMN: "List Column",
+    ROW_ACTION: "Row Action"
+  };
+
+  static ACTION_TYPES = {
+    EDIT: "Edit",
+    DELETE: "Delete",
+    CLONE: "Clone",
+    CHANGE_OWNER: "Change Owner",
+    FLOW: "Flow",
+    QUICK_ACTION: "Quick Action"
   };
 
   static FORMAT_TYPES = {
@@ -32,8 +74,97 @@ export default class HM_ConfigurableList extends NavigationMixin(
     TEXT: "Text"
   };
 
+  // Column format types that get Sum/Avg subtotals in group headers
+  static SUBTOTAL_FORMAT_TYPES = [
+    HM_ConfigurableList.FORMAT_TYPES.CURRENCY,
+    HM_ConfigurableList.FORMAT_TYPES.NUMBER,
+    RICH_FORMAT_TYPES.DURATION
+  ];
+  static BLANK_GROUP_LABEL = "(Blank)";
+
+  // Footer aggregate picklist values and the SOQL function Apex uses for server-paged lists
+  static FOOTER_AGGREGATES = {
+    SUM: "Sum",
+    AVERAGE: "Average",
+    MIN: "Min",
+    MAX: "Max",
+    COUNT: "Count"
+  };
+
+  static FOOTER_AGGREGATE_FUNCTIONS = {
+    Sum: "SUM",
+    Average: "AVG",
+    Min: "MIN",
+    Max: "MAX",
+    Count: "COUNT"
+  };
+  static NO_GROUPING_VALUE = "none";
+
   static DEFAULT_PAGE_SIZE = 25;
+
+  // Unpaginated lists longer than the threshold render only the rows in view; every row and
+  // group header is then VIRTUAL_ROW_HEIGHT px tall and every expanded row's child panel
+  // VIRTUAL_CHILD_PANEL_HEIGHT px tall (see .cc-virtualized in the CSS)
+  static VIRTUAL_SCROLL_THRESHOLD = 100;
+  static VIRTUAL_ROW_HEIGHT = 48;
+  static VIRTUAL_CHILD_PANEL_HEIGHT = 240;
+  static VIRTUAL_VIEWPORT_HEIGHT = 480; // px, matches .cc-virtualized .cc-table-body max-height
+  static VIRTUAL_OVERSCAN_ROWS = 10;
   static DEFAULT_TITLE = "List";
+  static SEARCH_DEBOUNCE_MS = 300;
+
+  static COLUMN_FILTER_KINDS = {
+    VALUES: "values",
+    NUMBER: "number",
+    DATE: "date"
+  };
+
+  static MASS_ACTIONS = {
+    UPDATE: "update",
+    CHANGE_OWNER: "changeOwner",
+    DELETE: "delete"
+  };
+
+  static MASS_ACTION_VERBS = {
+    update: "updated",
+    changeOwner: "reassigned",
+    delete: "deleted"
+  };
+
+  // Matches MAX_MASS_ACTION_RECORDS in HM_ComponentDataService
+  static MAX_SELECTED_ROWS = 1000;
+  // Records saved in parallel per round of a mass action
+  static MASS_ACTION_BATCH_SIZE = 10;
+
+  static EXPORT_MENU_VALUES = {
+    CURRENT_PAGE: "currentPage",
+    RAW_VALUES: "rawValues"
+  };
+
+  // Matches MAX_PAGE_SIZE in HM_ComponentDataService
+  static EXPORT_PAGE_SIZE = 200;
+
+  static COLUMN_CHOOSER_ACTIONS = {
+    SAVE: "save",
+    RESET: "reset"
+  };
+
+  // Resizing never goes below the .cc-col-data min-width; arrow keys resize in steps
+  static MIN_COLUMN_WIDTH = 100;
+  static COLUMN_RESIZE_STEP = 16;
+  // Width changes are saved once resizing has paused this long (ms)
+  static COLUMN_WIDTH_SAVE_DELAY_MS = 500;
+
+  // Related record hover preview: delays in ms, size and position in px
+  static LINK_PREVIEW_DELAY_MS = 400;
+  static LINK_PREVIEW_HIDE_DELAY_MS = 200;
+  static LINK_PREVIEW_WIDTH = 288; // matches .cc-link-preview
+  static LINK_PREVIEW_MAX_HEIGHT = 240;
+  static LINK_PREVIEW_GAP = 4;
+  static LINK_PREVIEW_MAX_FIELDS = 6;
+
+  static MAX_FILTER_OPTIONS = 100;
+  static FILTER_POPOVER_WIDTH = 288; // px, matches .cc-column-filter-popover
 
   static CSS_CLASSES = {
     FILTER_ACTIVE: "cc-filter-btn cc-filter-btn-active",
@@ -44,7 +175,17 @@ export default class HM_ConfigurableList extends NavigationMixin(
     COL_SORTABLE: "cc-col-sortable",
     COL_SORTED: "cc-col-sorted",
     CONTAINER: "cc-container",
-    CONTAINER_DARK: "cc-container cc-dark"
+    CONTAINER_DARK: "cc-container cc-dark",
+    CONTAINER_VIRTUALIZED: "cc-virtualized",
+    REFRESH_BUTTON: "cc-refresh-button",
+    REFRESH_BUTTON_ACTIVE: "cc-refresh-button cc-refresh-button--active",
+    COLUMN_FILTER_BUTTON: "cc-column-filter-button",
+    COLUMN_FILTER_BUTTON_ACTIVE: "cc-column-filter-button cc-column-filter-button--active",
+    ROW: "cc-table-row",
+    ROW_ERROR: "cc-table-row cc-table-row--error",
+    ROW_SELECTED: "cc-table-row cc-table-row--selected",
+    CELL_EDITING: "cc-cell-editing",
+    CELL_EDITED: "cc-cell-editing cc-cell-edited"
   };
 
   static SORT_DIRECTIONS = {
@@ -60,9 +201,20 @@ export default class HM_ConfigurableList extends NavigationMixin(
   static BADGE_TYPES = {
     DAYS_UNTIL_OVER: "Days Until/Over",
     DAYS_LEFT: "Days Left",
+    RULES: "Rules",
     NONE: "None"
   };
 
+  // Badge rules (HM_Formatting_Rules__c on columns with Badge Type "Rules"): value rules compare
+  // the cell value; a Days Until/Over rule shows the days badge for date values
+  static BADGE_RULE_KINDS = {
+    DAYS_UNTIL_OVER: "days until/over"
+  };
+  static BADGE_RULE_VARIANTS = ["success", "warning", "error"];
+
+  // Tile rule colors accepted in list badge rules, so one rule set works for both
+  static BADGE_RULE_COLOR_ALIASES = { alert: "error" };
+
   // Badge formatting: tiered time unit thresholds
   static BADGE_CONFIG = {
     DAYS_IN_WEEK: 7,              // Days threshold to switch to weeks
@@ -80,13 +232,58 @@ export default class HM_ConfigurableList extends NavigationMixin(
   @api isDarkMode = false;
   @api containerSize = 'lg'; // Default to large for backward compatibility
 
+  /**
+   * @description Dashboard filter selections sent as query context ({!filterName})
+   * Re-queries when the selections change after configuration has loaded
+   */
+  @api
+  get filterContext() {
+    return this._filterContext;
+  }
+  set filterContext(value) {
+    const changed = JSON.stringify(value || {}) !== JSON.stringify(this._filterContext || {});
+    this._filterContext = value || {};
+    if (changed && this.componentConfig) {
+      this.currentPage = 1;
+      this.loadData();
+    }
+  }
+
+  /**
+   * @description Host record Id, set automatically on record pages or passed down by the dashboard
+   * Re-queries when the page navigates to a different record
+   */
+  @api
+  get recordId() {
+    return this._recordId;
+  }
+  set recordId(value) {
+    const changed = value !== this._recordId;
+    this._recordId = value;
+    if (changed && this.componentConfig) {
+      this.currentPage = 1;
+      this.loadData();
+    }
+  }
+
+  @api objectApiName;
+
+  _filterContext = {};
+  _recordId;
+
   // Component state
   componentConfig = null;
   columns = [];
   rows = [];
   filteredRows = [];
   isLoading = true;
+  isRefreshing = false;
   errorMessage = null;
+  lastRefreshed = null;
+  _loadSequence = 0;
+  // Time of the last cache-bypassing refresh; sent with every request so later cacheable
+  // calls (paging, sorting, filtering) cannot return responses cached before it
+  _refreshedAt = null;
 
   // Filter state
   filters = [];
@@ -98,6 +295,97 @@ export default class HM_ConfigurableList extends NavigationMixin(
   enablePagination = false;
   totalPages = 1;
 
+  // Search state: searchTerm is the applied (debounced) term
+  enableSearch = false;
+  searchTerm = "";
+  _searchTimeout = null;
+
+  // Column filter state: columnFilters maps column key to { kind, values } or { kind, min, max };
+  // filterDraft holds the open popover's edits until they are applied
+  enableColumnFilters = false;
+  columnFilters = {};
+  openFilterColumnKey = null;
+  filterDraft = null;
+  filterPopoverLeft = 0;
+
+  // Export menu state
+  enableExport = false;
+  exportRawValues = false;
+  exportCurrentPageOnly = false;
+  isExporting = false;
+
+  // Row grouping state: groupByColumnKey starts at the column marked Group By and can be changed
+  // from the header menu; rowGroups holds each group's rows in display order, groupEntries the
+  // flattened group headers and expanded rows that pagination pages through by record
+  enableRowGrouping = false;
+  groupByColumnKey = null;
+  collapsedGroups = {};
+  rowGroups = [];
+  groupEntries = [];
+
+  // Per-user column preferences ({ order, hidden, widths } by column key), null until the user
+  // saves some; the version feeds the visibleColumns cache key. availableColumns holds the
+  // current filter's columns in the user's order, including hidden ones, for the column chooser
+  columnPreferences = null;
+  _columnPreferencesVersion = 0;
+  _availableColumns = [];
+  _appliedWidthKeys = [];
+  _resizeState = null;
+  // Pending debounced width save, and the chain that runs preference saves one at a time
+  _columnWidthSaveTimeout = null;
+  _preferenceSave = Promise.resolve();
+  _suppressSortClick = false;
+
+  // Related record hover preview: previewAnchor holds the hovered link's text and position; the
+  // record and object info wires load the related record's compact layout fields
+  previewAnchor = null;
+  previewRecordId;
+  previewObjectApiName;
+  previewRecord = null;
+  previewObjectInfo = null;
+  previewError = null;
+  _previewShowTimeout = null;
+  _previewHideTimeout = null;
+
+  // Row actions configured through Row Action detail maps
+  rowActions = [];
+
+  // Row selection state: selectedRecords maps record Id to { recordId, objectType, label } and is
+  // kept across pages and filters; massActionResults lists the records the last mass action
+  // skipped or failed
+  enableRowSelection = false;
+  selectedRecords = {};
+  isRunningMassAction = false;
+  massActionSummary = null;
+  massActionResults = [];
+
+  // Inline edit state: drafts and row errors are keyed by record Id, editing cells by
+  // "recordId:columnKey"; objectInfos (by object API name) decide which cells the user may edit
+  // and which row actions they may run
+  objectInfoApiNames;
+  objectInfos = {};
+  editingCells = {};
+  draftValues = {};
+  rowErrors = {};
+  isSavingEdits = false;
+
+  // Server pagination state: serverPagination is the configured mode, serverPaged is set
+  // when Apex actually paged the response (single record data source)
+  serverPagination = false;
+  serverPaged = false;
+  totalRecords = 0;
+  // Footer aggregates computed by Apex over all matching records, keyed by column key
+  serverAggregates = {};
+
+  // Virtual scrolling state: index of the first rendered entry and the scroll area's height
+  virtualStartIndex = 0;
+  virtualViewportHeight = HM_ConfigurableList.VIRTUAL_VIEWPORT_HEIGHT;
+
+  // Expandable rows: child relationships described by Apex ({ key, label, objectType, columns })
+  // and the ids of expanded rows
+  childRelationships = [];
+  expandedRows = {};
+
   // Sorting state
   sortColumn = null;
   sortDirection = HM_ConfigurableList.SORT_DIRECTIONS.ASC;
@@ -122,9 +410,18 @@ export default class HM_ConfigurableList extends NavigationMixin(
       // Set pagination configuration
       this.enablePagination = data.enablePagination || false;
       this.recordsPerPage = data.recordsPerPage || HM_ConfigurableList.DEFAULT_PAGE_SIZE;
+      this.serverPagination = this.enablePagination && data.serverPagination === true;
       // Set sorting configuration
       this.enableColumnSorting = data.enableColumnSorting || false;
+      this.enableSearch = data.enableSearch === true;
+      this.enableColumnFilters = data.enableColumnFilters === true;
+      this.enableRowSelection = data.enableRowSelection === true;
+      this.enableExport = data.enableExport === true;
+      this.enableRowGrouping = data.enableRowGrouping === true;
       this.buildColumns();
+      this.buildRowActions();
+      this.groupByColumnKey = this.columns.find((column) => column.groupBy)?.key || null;
+      this.collapsedGroups = {};
       // Invalidate caches when config changes
       this._cachedVisibleColumns = null;
       this._cachedVisibleColumnsFilter = null;
@@ -132,12 +429,45 @@ export default class HM_ConfigurableList extends NavigationMixin(
       this._cachedObjectTypesRows = null;
       // Note: activeFilter will be set in buildFilters() when data loads
       this.loadData();
+      this.loadColumnPreferences();
     } else if (error) {
       this.errorMessage = this.extractErrorMessage(error);
       this.isLoading = false;
     }
   }
 
+  /**
+   * @description Wire object metadata for lists with editable columns, row actions or row selection
+   * Field updateability reflects the user's FLS; objects that fail to load stay read-only
+   */
+  @wire(getObjectInfos, { objectApiNames: "$objectInfoApiNames" })
+  wiredObjectInfos({ data }) {
+    if (!data) {
+      return;
+    }
+    const objectInfos = {};
+    (data.results || []).forEach((entry) => {
+      if (entry.statusCode === 200 && entry.result) {
+        objectInfos[entry.result.apiName] = entry.result;
+      }
+    });
+    this.objectInfos = objectInfos;
+  }
+
+  /**
+   * @description Wire the related record shown in the link hover preview
+   */
+  @wire(getRecord, { recordId: "$previewRecordId", layoutTypes: ["Compact"], modes: ["View"] })
+  wiredPreviewRecord({ data, error }) {
+    this.previewRecord = data || null;
+    this.previewError = error || null;
+  }
+
+  @wire(getObjectInfo, { objectApiName: "$previewObjectApiName" })
+  wiredPreviewObjectInfo({ data }) {
+    this.previewObjectInfo = data || null;
+  }
+
   /**
    * @description Extract error message from error object
    * Handles various error formats from Apex and JavaScript
@@ -203,7 +533,11 @@ export default class HM_ConfigurableList extends NavigationMixin(
           sortable: this.enableColumnSorting, // Column is sortable if sorting is enabled globally
           sortDirection: null, // Track sort direction for this column
           badgeType: map.columnBadgeType || null, // Badge type for this column
-          badgeVariant: map.columnBadgeVariant || null // Badge color variant override
+          badgeVariant: map.columnBadgeVariant || null, // Badge color variant override
+          badgeRules: map.formattingRules || [], // Ordered badge rules for the Rules badge type
+          editable: map.editable === true && !map.fieldApiName.includes("."), // Relationship paths are read-only
+          groupBy: map.groupBy === true,
+          footerAggregate: map.footerAggregate || null
         };
         
         // Compute header class, title, and alternative text
@@ -220,24 +554,132 @@ export default class HM_ConfigurableList extends NavigationMixin(
     this._cachedVisibleColumnsFilter = null;
   }
 
+  /**
+   * @description Build the context map sent to executeComponentQuery
+   * Combines dashboard filter selections with the host record context
+   * @return {Object} Context for merge field replacement ({!filterName}, {!recordId})
+   */
+  get queryContext() {
+    const context = { ...this._filterContext };
+    if (this._recordId) {
+      context.recordId = this._recordId;
+      context.objectApiName = this.objectApiName;
+    }
+    return context;
+  }
+
+  /**
+   * @description Build the context for a data request
+   * In server pagination mode, adds the requested page, sort, grouping, search, column filters
+   * and footer aggregates for Apex to apply in SOQL
+   * @return {Object} Query context, with a pagination entry when paging on the server
+   */
+  buildRequestContext() {
+    const context = this.queryContext;
+    if (this._refreshedAt) {
+      context.refreshedAt = this._refreshedAt;
+    }
+    if (this.serverPagination) {
+      const sortColumn = this.sortColumn ? this.findColumnByKey(this.sortColumn) : null;
+      context.pagination = {
+        page: this.currentPage,
+        pageSize: this.recordsPerPage,
+        sortField: sortColumn ? this.getServerSortField(sortColumn) : null,
+        sortDirection: this.sortDirection,
+        groupField: this.groupByColumn ? this.getServerSortField(this.groupByColumn) : null,
+        searchTerm: this.searchTerm || null,
+        searchFields: this.searchTerm
+          ? this.visibleColumns.map((column) => this.getServerSortField(column))
+          : null,
+        columnFilters: this.activeColumnFilters.map(({ column, filter }) => ({
+          field: this.getServerSortField(column),
+          kind: filter.kind,
+          values: filter.values || null,
+          min: filter.min ?? null,
+          max: filter.max ?? null
+        })),
+        aggregates: this.footerColumns.map((column) => ({
+          key: column.key,
+          field: this.getServerSortField(column),
+          function: HM_ConfigurableList.FOOTER_AGGREGATE_FUNCTIONS[column.footerAggregate]
+        }))
+      };
+    }
+    return context;
+  }
+
+  /**
+   * @description Field Apex should sort by for a column
+   * The smart primary label column maps to the label field of the listed object
+   * @param {Object} column - Column definition
+   * @return {String} Field API name (may be a relationship path)
+   */
+  getServerSortField(column) {
+    if (column.isSmartNameColumn) {
+      if (this.activeFilter === 'Case') {
+        return 'CaseNumber';
+      }
+      if (this.activeFilter === 'Task' || this.activeFilter === 'Event') {
+        return 'Subject';
+      }
+    }
+    return column.fieldApiName;
+  }
+
+  /**
+   * @description Find a column by key, checking visible (possibly virtual) columns first
+   * @param {String} columnKey - Column key
+   * @return {Object} Column definition, or undefined if not found
+   */
+  findColumnByKey(columnKey) {
+    return this.visibleColumns.find((col) => col.key === columnKey)
+      || this.columns.find((col) => col.key === columnKey);
+  }
+
+  /**
+   * @description Refresh list data, bypassing the client-side cache
+   * Called by the list's refresh button and by the parent dashboard
+   * @return {Promise} Resolves when the data has been reloaded
+   */
+  @api
+  refresh() {
+    return this.loadData({ bypassCache: true });
+  }
+
   /**
    * @description Load data from Apex service
-   * Validates component configuration and processes response based on shape
+   * Validates component configuration and processes response based on shape.
+   * The spinner only replaces the table on first load; later loads keep the current
+   * rows, sort, filter and page visible until the new data arrives.
+   * @param {Object} options - Load options
+   * @param {Boolean} options.bypassCache - Skip the cacheable Apex method (manual/scheduled refresh)
    */
-  async loadData() {
+  async loadData(options = {}) {
     if (!this.validateLoadDataInputs()) {
       return;
     }
 
-    this.isLoading = true;
+    // Ignore responses from earlier loads that finish after a newer one started
+    const loadSequence = ++this._loadSequence;
+    const isInitialLoad = !this.lastRefreshed;
+    this.isLoading = isInitialLoad;
+    this.isRefreshing = !isInitialLoad;
     this.errorMessage = null;
 
     try {
-      const response = await executeComponentQuery({
+      if (options.bypassCache) {
+        this._refreshedAt = Date.now();
+      }
+      const queryMethod = options.bypassCache ? refreshComponentQuery : executeComponentQuery;
+      const response = await queryMethod({
         componentId: this.componentId,
-        context: {}
+        context: this.buildRequestContext()
       });
 
+      if (loadSequence !== this._loadSequence) {
+        return;
+      }
+
       if (!this.processDataResponse(response)) {
         return;
       }
@@ -245,13 +687,35 @@ export default class HM_ConfigurableList extends NavigationMixin(
       this.buildFilters();
       this.applyFilter();
       this.updatePagination();
+      this.lastRefreshed = new Date();
     } catch (error) {
-      this.handleLoadDataError(error);
+      if (loadSequence === this._loadSequence) {
+        this.handleLoadDataError(error);
+      }
     } finally {
-      this.isLoading = false;
+      if (loadSequence === this._loadSequence) {
+        this.isLoading = false;
+        this.isRefreshing = false;
+      }
     }
   }
 
+  /**
+   * @description Handle refresh button click
+   */
+  handleRefreshClick() {
+    this.refresh();
+  }
+
+  /**
+   * @description Get refresh button CSS class (spins while a refresh is in flight)
+   */
+  get refreshButtonClass() {
+    return this.isRefreshing
+      ? HM_ConfigurableList.CSS_CLASSES.REFRESH_BUTTON_ACTIVE
+      : HM_ConfigurableList.CSS_CLASSES.REFRESH_BUTTON;
+  }
+
 
   /**
    * @description Parse number from value
@@ -389,16 +853,20 @@ export default class HM_ConfigurableList extends NavigationMixin(
   processDataResponse(response) {
     if (!response || !response.success) {
       this.rows = this.formatRows([]);
+      this.childRelationships = [];
       return true;
     }
 
     if (response.shape === 'LIST') {
       this.rows = this.formatRows(response.rows || []);
+      this.childRelationships = response.childRelationships || [];
+      this.applyServerPagination(response);
       // Invalidate caches when data changes
       this._cachedVisibleColumns = null;
       this._cachedVisibleColumnsFilter = null;
       this._cachedObjectTypes = null;
       this._cachedObjectTypesRows = null;
+      this.updateObjectInfoApiNames();
       return true;
     }
 
@@ -411,6 +879,22 @@ export default class HM_ConfigurableList extends NavigationMixin(
     return false;
   }
 
+  /**
+   * @description Take page state from a server-paged response
+   * Apex clamps the page to the reachable range, so currentPage follows the response
+   * @param {Object} response - LIST response from executeComponentQuery
+   */
+  applyServerPagination(response) {
+    this.serverPaged = response.serverPaged === true;
+    this.serverAggregates = this.serverPaged && response.aggregates ? response.aggregates : {};
+    if (!this.serverPaged) {
+      return;
+    }
+    this.totalRecords = response.totalCount || 0;
+    this.totalPages = response.pageCount || 1;
+    this.currentPage = response.page || 1;
+  }
+
   /**
    * @description Set error message and reset data to defaults
    * @param {String} errorMsg - Error message to set
@@ -462,6 +946,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
         recordId: recordId,
         objectType: objectType,
         rowIcon: rowIcon,
+        rowClass: HM_ConfigurableList.CSS_CLASSES.ROW,
         cells: cells,
         visibleCells: cells, // Initially show all cells, will be filtered in applyFilter()
         record: record
@@ -511,7 +996,8 @@ export default class HM_ConfigurableList extends NavigationMixin(
     let formattedValue = this.formatValue(value, column.formatType);
     
     // If formatted value is empty but we have a raw value, use the raw value as fallback
-    if (!formattedValue && value != null) {
+    // (not for the richer format types, where e.g. markup-only rich text is intentionally empty)
+    if (!formattedValue && value != null && !isRichFormatType(column.formatType)) {
       formattedValue = String(value);
     }
     
@@ -533,13 +1019,27 @@ export default class HM_ConfigurableList extends NavigationMixin(
         // rather than breaking row rendering. Badge will be null and row displays normally.
         badge = null;
       }
+    } else if (column.badgeType === HM_ConfigurableList.BADGE_TYPES.RULES && value != null) {
+      // Values that match no rule show as plain text
+      badge = this.resolveBadgeRule(column, value, formattedValue);
     }
 
     // If badge type is configured, hide the field value and show only badge
-    const hasBadgeType = column.badgeType != null && column.badgeType !== HM_ConfigurableList.BADGE_TYPES.NONE;
+    // (Rules columns only when a rule matched, so other cells keep their links and formatting)
+    const hasBadgeType = column.badgeType === HM_ConfigurableList.BADGE_TYPES.RULES
+      ? badge !== null
+      : column.badgeType != null && column.badgeType !== HM_ConfigurableList.BADGE_TYPES.NONE;
     
     // Store full value for hover tooltip (like Aura label)
-    const fullValue = formattedValue || (value != null ? String(value) : '');
+    const fullValue = formattedValue || (value != null && !isRichFormatType(column.formatType) ? String(value) : '');
+
+    // Relationship columns link to the related record when it has a value
+    const relatedRecord = value != null && value !== "" && !hasBadgeType
+      ? this.getRelatedRecord(record, column.fieldApiName)
+      : null;
+
+    // Checkmarks, email/phone/URL links, pills, thumbnails and rich text (null for other format types)
+    const display = hasBadgeType || relatedRecord ? null : buildDisplayValue(value, column.formatType);
     
     return {
       key: column.key, // Detail map ID - ensures unique key even if same fieldApiName used for different objects
@@ -548,7 +1048,14 @@ export default class HM_ConfigurableList extends NavigationMixin(
       applicable: true,
       badge: badge,
       hasBadgeType: hasBadgeType, // Flag to hide value when badge type is configured
-      title: fullValue // Full value for hover tooltip
+      title: fullValue, // Full value for hover tooltip
+      isLink: relatedRecord !== null,
+      linkRecordId: relatedRecord?.recordId || null,
+      linkObjectType: relatedRecord?.objectType || null,
+      linkUrl: relatedRecord ? `/${relatedRecord.recordId}` : null,
+      display: display,
+      hasDisplay: display !== null && !display.isText,
+      imageAlt: display?.isImage ? column.label : null
     };
   }
 
@@ -716,6 +1223,128 @@ export default class HM_ConfigurableList extends NavigationMixin(
     return `${days}d`;
   }
 
+  /**
+   * @description Badge from the first of a column's badge rules that matches a cell value
+   * @param {Object} column - Column definition with badgeRules and formatType
+   * @param {*} value - Raw cell value
+   * @param {String} formattedValue - Cell display text, used as the badge text by default
+   * @return {Object} Badge object with text, variant, icon, and className, or null if no rule matches
+   */
+  resolveBadgeRule(column, value, formattedValue) {
+    for (const rule of column.badgeRules || []) {
+      if (String(rule.kind || "").toLowerCase() === HM_ConfigurableList.BADGE_RULE_KINDS.DAYS_UNTIL_OVER) {
+        const daysBadge = this.calculateDaysBadge(value, rule.color);
+        if (daysBadge) {
+          return daysBadge;
+        }
+        continue;
+      }
+
+      const variant = HM_ConfigurableList.BADGE_RULE_COLOR_ALIASES[String(rule.color).toLowerCase()]
+        || this.extractVariantFromPicklist(rule.color);
+      if (HM_ConfigurableList.BADGE_RULE_VARIANTS.includes(variant) && this.matchesBadgeRule(rule, value, column.formatType)) {
+        return {
+          text: rule.text || formattedValue,
+          variant: variant,
+          icon: null,
+          className: `cc-custom-badge cc-badge-${variant}`
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @description Test a cell value against a single badge rule
+   * "between" is inclusive on both ends; "in" takes a values array or a comma-separated value
+   * @param {Object} rule - Badge rule with operator and value, values or min/max
+   * @param {*} value - Raw cell value
+   * @param {String} formatType - Column format type, so dates compare as dates
+   * @return {Boolean} True when the rule matches
+   */
+  matchesBadgeRule(rule, value, formatType) {
+    switch (rule.operator) {
+      case "in":
+      case "not in": {
+        const candidates = Array.isArray(rule.values) ? rule.values : String(rule.value ?? "").split(",");
+        const found = candidates.some((candidate) => this.compareBadgeRuleValue(value, candidate, formatType) === 0);
+        return rule.operator === "in" ? found : !found;
+      }
+      case "between": {
+        const aboveMin = rule.min == null || this.compareBadgeRuleValue(value, rule.min, formatType) >= 0;
+        const belowMax = rule.max == null || this.compareBadgeRuleValue(value, rule.max, formatType) <= 0;
+        return (rule.min != null || rule.max != null) && aboveMin && belowMax;
+      }
+      default:
+        break;
+    }
+
+    if (rule.value == null) {
+      return false;
+    }
+    const comparison = this.compareBadgeRuleValue(value, rule.value, formatType);
+    if (isNaN(comparison)) {
+      return false;
+    }
+    switch (rule.operator) {
+      case ">":
+        return comparison > 0;
+      case ">=":
+        return comparison >= 0;
+      case "<":
+        return comparison < 0;
+      case "<=":
+        return comparison <= 0;
+      case "=":
+        return comparison === 0;
+      case "!=":
+        return comparison !== 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @description Compare a cell value with a rule value
+   * Date columns compare by day, numbers numerically, anything else as case-insensitive text
+   * @param {*} value - Raw cell value
+   * @param {*} ruleValue - Value from the rule
+   * @param {String} formatType - Column format type
+   * @return {Number} Negative, zero or positive like a sort comparator; NaN when dates cannot be compared
+   */
+  compareBadgeRuleValue(value, ruleValue, formatType) {
+    const column = { formatType: formatType };
+    if (this.getColumnFilterKind(column) === HM_ConfigurableList.COLUMN_FILTER_KINDS.DATE) {
+      const valueKey = this.toDateKey(value);
+      const ruleKey = this.toDateKey(typeof ruleValue === "string" ? ruleValue.trim() : ruleValue);
+      return valueKey && ruleKey ? valueKey.localeCompare(ruleKey) : NaN;
+    }
+
+    const valueNumber = this.toRuleNumber(value);
+    const ruleNumber = this.toRuleNumber(ruleValue);
+    if (valueNumber !== null && ruleNumber !== null) {
+      return valueNumber - ruleNumber;
+    }
+    return String(value).trim().toLowerCase().localeCompare(String(ruleValue).trim().toLowerCase());
+  }
+
+  /**
+   * @description Read a number from a rule or cell value
+   * @param {*} value - Number or numeric string
+   * @return {Number} Parsed number, or null for blanks and non-numeric values
+   */
+  toRuleNumber(value) {
+    if (typeof value === "number") {
+      return isNaN(value) ? null : value;
+    }
+    if (typeof value !== "string" || value.trim() === "") {
+      return null;
+    }
+    const num = Number(value.trim());
+    return isNaN(num) ? null : num;
+  }
+
+
   /**
    * @description Get object type from record
    * Uses backend-provided typing when available (objectType / attributes.type).
@@ -840,7 +1469,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
    */
   get visibleColumns() {
     // Check cache - invalidate if filter, columns, rows, config, or containerSize changed
-    const cacheKey = `${this.activeFilter}_${this.columns.length}_${this.rows.length}_${this.componentConfig?.showAllRecordsFilter}_${this.containerSize}`;
+    const cacheKey = `${this.activeFilter}_${this.columns.length}_${this.rows.length}_${this.componentConfig?.showAllRecordsFilter}_${this.containerSize}_${this._columnPreferencesVersion}`;
     if (this._cachedVisibleColumns && this._cachedVisibleColumnsFilter === cacheKey) {
       return this._cachedVisibleColumns;
     }
@@ -913,9 +1542,16 @@ export default class HM_ConfigurableList extends NavigationMixin(
       );
     }
 
-    // Update header classes for all visible columns based on current containerSize
+    // Apply the user's column order and hidden columns
+    this._availableColumns = this.orderColumnsByPreference(result);
+    result = this.removeHiddenColumns(this._availableColumns);
+
+    // Update header classes, filter buttons and width styles for all visible columns
     result.forEach((column) => {
       column.headerClass = this.computeColumnHeaderClass(column);
+      column.widthStyle = this.getColumnWidthStyle(column.key);
+      column.resizeLabel = `Resize ${column.label} column`;
+      this.updateColumnFilterButton(column);
     });
 
     // Cache result
@@ -947,6 +1583,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
       sortDirection: null,
       badgeType: null,
       badgeVariant: null,
+      badgeRules: [],
       isVirtual: true // Flag to identify virtual columns
     };
 
@@ -1057,9 +1694,10 @@ export default class HM_ConfigurableList extends NavigationMixin(
 
   /**
    * @description Format value based on format type
-   * Delegates to specific formatters (currency, number, percent, date)
+   * Delegates to specific formatters (currency, number, percent, date); the richer
+   * types (Date Time, Boolean, Rich Text, Duration, ...) use the shared hmFormatUtils text
    * @param {*} value - Value to format (can be number, string, date, etc.)
-   * @param {String} formatType - Format type (Currency, Number, Percent, Date, Text)
+   * @param {String} formatType - HM_Format_Type__c value
    * @return {String} Formatted value string
    */
   formatValue(value, formatType) {
@@ -1077,7 +1715,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
       case HM_ConfigurableList.FORMAT_TYPES.DATE:
         return this.formatDate(value);
       default:
-        return String(value);
+        return formatDisplayText(value, formatType);
     }
   }
 
@@ -1109,6 +1747,38 @@ export default class HM_ConfigurableList extends NavigationMixin(
     if (event.key === "Enter" || event.key === " ") {
       event.preventDefault();
       this.handleRowClick(event);
+    } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      this.focusAdjacentRow(event.currentTarget, event.key === "ArrowDown" ? 1 : -1);
+    } else if (this.hasChildRelationships && (event.key === "ArrowRight" || event.key === "ArrowLeft")) {
+      event.preventDefault();
+      this.setRowExpanded(event.currentTarget.dataset.recordId, event.key === "ArrowRight");
+    }
+  }
+
+  /**
+   * @description Handle keyboard navigation for child record rows in an expanded row
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleChildRowKeydown(event) {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      this.handleRowClick(event);
+    }
+  }
+
+  /**
+   * @description Move focus to the next or previous rendered row
+   * Virtual scrolling renders overscan rows around the viewport, so the neighbour of a focused
+   * row is always in the DOM; focusing it scrolls it into view and moves the rendered window
+   * @param {Element} row - Focused row element
+   * @param {Number} offset - 1 for the next row, -1 for the previous one
+   */
+  focusAdjacentRow(row, offset) {
+    const rows = [...this.template.querySelectorAll(".cc-table-body .cc-table-row")];
+    const target = rows[rows.indexOf(row) + offset];
+    if (target) {
+      target.focus();
     }
   }
 
@@ -1149,7 +1819,9 @@ export default class HM_ConfigurableList extends NavigationMixin(
   /**
    * @description Build dynamic filters based on object types in data
    * Creates filters for object types and optionally an "All" tab when setting is enabled
-   * Only shows filters when there are 2+ different object types
+   * Only shows filters when there are 2+ different object types. Server-paged lists have no
+   * object type filters: a filter could only hide rows of the current page while the page count
+   * and total still covered every object, and Apex only pages single-object queries
    */
   buildFilters() {
     if (!this.rows || this.rows.length === 0) {
@@ -1167,6 +1839,12 @@ export default class HM_ConfigurableList extends NavigationMixin(
 
     // Only build filters if there are 2+ different object types
     const objectTypes = Object.keys(typeCounts);
+    if (this.serverPaged && objectTypes.length >= 2) {
+      // Show every page row and every column rather than filtering a single page
+      this.filters = [];
+      this.activeFilter = null;
+      return;
+    }
     if (objectTypes.length < 2) {
       this.filters = [];
       // If there's exactly one object type, set it as active filter
@@ -1268,16 +1946,39 @@ export default class HM_ConfigurableList extends NavigationMixin(
 
     // Update visible cells for each filtered row based on active filter
     // IMPORTANT: Build visibleCells in the same order as visibleColumns to ensure alignment
-    
+    const searchTerm = this.searchTerm.toLowerCase();
     this.filteredRows.forEach((row) => {
       row.visibleCells = this.visibleColumns.map((column) => {
-        return this.findCellForColumn(row, column);
+        const cell = this.applySearchHighlight(this.findCellForColumn(row, column), searchTerm);
+        return { ...cell, widthStyle: column.widthStyle };
       });
     });
 
+    // Keep rows with a search match in any visible cell
+    // Server-paged rows were already searched by Apex, so they are only highlighted
+    if (searchTerm && !this.serverPaged) {
+      this.filteredRows = this.filteredRows.filter((row) =>
+        row.visibleCells.some((cell) => cell.hasSearchMatch)
+      );
+    }
+
+    // Keep rows passing every column filter (server-paged rows were filtered in SOQL)
+    const columnFilters = this.activeColumnFilters;
+    if (columnFilters.length > 0 && !this.serverPaged) {
+      this.filteredRows = this.filteredRows.filter((row) =>
+        columnFilters.every(({ column, filter }) =>
+          this.cellMatchesColumnFilter(
+            row.visibleCells.find((cell) => cell.key === column.key),
+            filter
+          )
+        )
+      );
+    }
+
     // Apply sorting if enabled and a column is selected
     // IMPORTANT: Sort the FULL filtered dataset before pagination
-    if (this.enableColumnSorting && this.sortColumn) {
+    // Server-paged rows arrive already sorted by Apex
+    if (this.enableColumnSorting && this.sortColumn && !this.serverPaged) {
       // Check visibleColumns first (includes virtual columns), then configured columns
       let column = this.visibleColumns.find((col) => col.key === this.sortColumn);
       if (!column) {
@@ -1295,6 +1996,9 @@ export default class HM_ConfigurableList extends NavigationMixin(
       }
     }
 
+    // Keep each group's rows together (after sorting, so rows stay sorted within their group)
+    this.applyGrouping();
+
     // Update filter active states and classes
     this.filters.forEach((filter) => {
       const isActive = filter.value === this.activeFilter;
@@ -1306,8 +2010,11 @@ export default class HM_ConfigurableList extends NavigationMixin(
       filter.computedClass = this.getFilterButtonComputedClass(baseClass);
     });
 
-    // Reset to first page when filter changes
-    this.currentPage = 1;
+    // Reset to first page when filter changes (server-paged lists keep the page Apex returned)
+    if (!this.serverPaged) {
+      this.currentPage = 1;
+      this.resetVirtualScroll();
+    }
     this.updatePagination();
 
     // Invalidate cache when filter changes
@@ -1338,99 +2045,2630 @@ export default class HM_ConfigurableList extends NavigationMixin(
     }
   }
 
+  // ==================== SEARCH ====================
+
   /**
-   * @description Check if filters should be shown
-   * Only show when there are 2+ different object types
+   * @description Handle typing in the search box
+   * Debounced so the rows are filtered (or re-queried) once the user pauses typing
+   * @param {Event} event - Change event from lightning-input with detail.value
    */
-  get showFilters() {
-    return this.filters && this.filters.length >= 2;
+  handleSearchChange(event) {
+    const value = (event.detail.value || "").trim();
+    if (this._searchTimeout) {
+      clearTimeout(this._searchTimeout);
+    }
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._searchTimeout = setTimeout(() => {
+      this._searchTimeout = null;
+      if (value !== this.searchTerm) {
+        this.searchTerm = value;
+        this.applySearch();
+      }
+    }, HM_ConfigurableList.SEARCH_DEBOUNCE_MS);
   }
 
   /**
-   * @description Get filter items formatted for lightning-button-menu
-   * @returns {Array} Menu items with value, label, and checked state
+   * @description Apply the current search term
+   * Server-paged lists re-query from the first page; others filter the loaded rows
    */
-  get filterMenuItems() {
-    return this.filters.map((filter) => ({
-      value: filter.value,
-      label: `${filter.label} (${filter.count})`,
-      checked: filter.active
-    }));
+  applySearch() {
+    if (this.serverPaged) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
+    }
+    this.applyFilter();
   }
 
   /**
-   * @description Update pagination state
+   * @description Mark a cell that contains the search term
+   * Matches the text the cell displays: the badge text for badge columns, otherwise the
+   * formatted value. Returns a copy so the row's shared cells keep no stale highlight.
+   * @param {Object} cell - Cell from findCellForColumn
+   * @param {String} searchTerm - Lower-cased search term (empty when not searching)
+   * @return {Object} Cell with hasSearchMatch and searchSegments, or the cell unchanged
    */
-  updatePagination() {
-    if (!this.enablePagination) {
-      this.totalPages = 1;
-      return;
+  applySearchHighlight(cell, searchTerm) {
+    if (!searchTerm || !cell.applicable) {
+      return cell;
     }
-
-    const totalRecords = this.filteredRows.length;
-    this.totalPages = Math.max(1, Math.ceil(totalRecords / this.recordsPerPage));
-    
-    // Ensure current page is valid
-    if (this.currentPage > this.totalPages) {
-      this.currentPage = this.totalPages;
+    const showsBadge = cell.hasBadgeType && cell.badge;
+    const segments = this.buildSearchSegments(showsBadge ? cell.badge.text : cell.value, searchTerm);
+    if (!segments) {
+      return cell;
     }
+    return { ...cell, hasSearchMatch: true, searchSegments: segments };
   }
 
   /**
-   * @description Get paginated rows
+   * @description Split text into plain and matching segments for highlighting
+   * @param {String} text - Displayed text
+   * @param {String} searchTerm - Lower-cased search term
+   * @return {Array} Segments ({ key, text, isMatch }), or null when the term does not occur
    */
-  get paginatedRows() {
-    // IMPORTANT: filteredRows should already be sorted by applyFilter()
-    // We just slice it for pagination - sorting happens on full dataset
-    if (!this.enablePagination) {
-      return this.filteredRows;
+  buildSearchSegments(text, searchTerm) {
+    if (text == null || text === "") {
+      return null;
+    }
+    const value = String(text);
+    const valueLower = value.toLowerCase();
+    let matchIndex = valueLower.indexOf(searchTerm);
+    if (matchIndex < 0) {
+      return null;
     }
 
-    const startIndex = (this.currentPage - 1) * this.recordsPerPage;
-    const endIndex = startIndex + this.recordsPerPage;
-    // Slice the already-sorted filteredRows
-    return this.filteredRows.slice(startIndex, endIndex);
+    const segments = [];
+    let position = 0;
+    while (matchIndex >= 0) {
+      if (matchIndex > position) {
+        segments.push({ key: `s${segments.length}`, text: value.substring(position, matchIndex), isMatch: false });
+      }
+      position = matchIndex + searchTerm.length;
+      segments.push({ key: `s${segments.length}`, text: value.substring(matchIndex, position), isMatch: true });
+      matchIndex = valueLower.indexOf(searchTerm, position);
+    }
+    if (position < value.length) {
+      segments.push({ key: `s${segments.length}`, text: value.substring(position), isMatch: false });
+    }
+    return segments;
   }
 
   /**
-   * @description Get pagination info text (simplified)
+   * @description Message shown when no rows are displayed
    */
-  get paginationInfo() {
-    if (!this.enablePagination || this.filteredRows.length === 0) {
-      return "";
+  get emptyMessage() {
+    if (this.searchTerm) {
+      return `No records match "${this.searchTerm}"`;
     }
-    return `Page ${this.currentPage} of ${this.totalPages}`;
+    if (this.activeColumnFilters.length > 0) {
+      return "No records match the column filters";
+    }
+    return "No records found";
   }
 
+  // ==================== COLUMN FILTERS ====================
+
   /**
-   * @description Get page numbers to display (modern, clean pagination)
-   * Shows: First page, current page ± 2, last page with ellipsis
-   * For small datasets, shows all pages
+   * @description Filter kind for a column, from its format type
+   * Text columns pick values, Date columns take a date range, numeric columns a min/max
+   * @param {Object} column - Column definition
+   * @return {String} COLUMN_FILTER_KINDS value
    */
-  get pageNumbers() {
-    return this.calculatePageNumbers();
+  getColumnFilterKind(column) {
+    const formatTypes = HM_ConfigurableList.FORMAT_TYPES;
+    const kinds = HM_ConfigurableList.COLUMN_FILTER_KINDS;
+    switch (column.formatType) {
+      case formatTypes.DATE:
+      case RICH_FORMAT_TYPES.DATE_TIME:
+      case RICH_FORMAT_TYPES.RELATIVE_TIME:
+        return kinds.DATE;
+      case formatTypes.CURRENCY:
+      case formatTypes.NUMBER:
+      case formatTypes.PERCENT:
+      case RICH_FORMAT_TYPES.DURATION:
+        return kinds.NUMBER;
+      default:
+        return kinds.VALUES;
+    }
   }
 
   /**
-   * @description Calculate page numbers to display for pagination
-   * @return {Array} Array of page number objects with metadata
+   * @description Set a column's filter button state for the header template
+   * @param {Object} column - Visible column definition
    */
-  calculatePageNumbers() {
-    if (this.totalPages <= 1) {
-      return [];
-    }
+  updateColumnFilterButton(column) {
+    const isActive = Boolean(this.columnFilters[column.key]);
+    column.filterable = this.enableColumnFilters;
+    column.filterButtonClass = isActive
+      ? HM_ConfigurableList.CSS_CLASSES.COLUMN_FILTER_BUTTON_ACTIVE
+      : HM_ConfigurableList.CSS_CLASSES.COLUMN_FILTER_BUTTON;
+    column.filterButtonLabel = isActive ? `Edit filter on ${column.label}` : `Filter ${column.label}`;
+  }
 
-    // For small datasets (5 or fewer pages), show all
-    if (this.totalPages <= 5) {
-      return this.createSimplePageNumbers();
+  /**
+   * @description Column filters that apply to the visible columns
+   * Filters on columns hidden by the object-type tab are kept but not applied
+   * @return {Array} Entries of { column, filter }
+   */
+  get activeColumnFilters() {
+    if (!this.enableColumnFilters) {
+      return [];
     }
-
-    // For larger datasets, use smart pagination
-    return this.createSmartPageNumbers();
+    return this.visibleColumns
+      .filter((column) => this.columnFilters[column.key])
+      .map((column) => ({ column, filter: this.columnFilters[column.key] }));
   }
 
   /**
-   * @description Create simple page numbers for small datasets (5 or fewer pages)
+   * @description Check a cell against a column filter
+   * Values compare the raw field value; ranges are inclusive and exclude blank cells
+   * @param {Object} cell - Visible cell
+   * @param {Object} filter - Column filter
+   * @return {Boolean} True if the row should be kept
+   */
+  cellMatchesColumnFilter(cell, filter) {
+    if (!cell || !cell.applicable || cell.rawValue == null || cell.rawValue === "") {
+      return false;
+    }
+    const kinds = HM_ConfigurableList.COLUMN_FILTER_KINDS;
+    if (filter.kind === kinds.VALUES) {
+      return filter.values.includes(String(cell.rawValue));
+    }
+    if (filter.kind === kinds.NUMBER) {
+      const num = Number(cell.rawValue);
+      if (isNaN(num)) {
+        return false;
+      }
+      return (filter.min == null || num >= filter.min) && (filter.max == null || num <= filter.max);
+    }
+    const dateKey = this.toDateKey(cell.rawValue);
+    if (!dateKey) {
+      return false;
+    }
+    return (!filter.min || dateKey >= filter.min) && (!filter.max || dateKey <= filter.max);
+  }
+
+  /**
+   * @description Convert a date or datetime value to a local yyyy-mm-dd key
+   * Date-only strings are used as-is so they aren't shifted by the UTC parse
+   * @param {*} value - Date value
+   * @return {String} Date key, or null if not a date
+   */
+  toDateKey(value) {
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+    const date = this.parseDateValue(value);
+    if (!date) {
+      return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * @description Open or close the filter popover for a column header
+   * Stops the click from also sorting the column
+   * @param {Event} event - Click event with columnKey in dataset
+   */
+  handleColumnFilterClick(event) {
+    event.stopPropagation();
+    const columnKey = event.currentTarget.dataset.columnKey;
+    if (!columnKey || this.openFilterColumnKey === columnKey) {
+      this.closeFilterPopover();
+      return;
+    }
+
+    const column = this.findColumnByKey(columnKey);
+    const existing = this.columnFilters[columnKey];
+    this.filterDraft = existing
+      ? { ...existing, values: existing.values ? [...existing.values] : undefined }
+      : { kind: this.getColumnFilterKind(column), values: [], min: null, max: null };
+    this.filterPopoverLeft = this.computeFilterPopoverLeft(event.currentTarget);
+    this.openFilterColumnKey = columnKey;
+  }
+
+  /**
+   * @description Keep Enter/Space on the filter button from sorting the column
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleColumnFilterKeydown(event) {
+    event.stopPropagation();
+  }
+
+  /**
+   * @description Horizontal popover position under a column header, kept inside the table
+   * @param {Element} button - Filter button inside the header cell
+   * @return {Number} Left offset in px relative to the header wrapper
+   */
+  computeFilterPopoverLeft(button) {
+    const header = button.closest("[role=columnheader]");
+    const wrapper = this.template.querySelector(".cc-table-header-wrapper");
+    if (!header || !wrapper) {
+      return 0;
+    }
+    const maxLeft = wrapper.clientWidth - HM_ConfigurableList.FILTER_POPOVER_WIDTH;
+    return Math.max(0, Math.min(header.offsetLeft, maxLeft));
+  }
+
+  /**
+   * @description Close the filter popover without applying its edits
+   */
+  closeFilterPopover() {
+    this.openFilterColumnKey = null;
+    this.filterDraft = null;
+  }
+
+  /**
+   * @description View model for the open filter popover
+   * @return {Object} Popover data, or null when closed
+   */
+  get filterPopover() {
+    if (!this.openFilterColumnKey || !this.filterDraft) {
+      return null;
+    }
+    const column = this.findColumnByKey(this.openFilterColumnKey);
+    if (!column) {
+      return null;
+    }
+    const kinds = HM_ConfigurableList.COLUMN_FILTER_KINDS;
+    const kind = this.filterDraft.kind;
+    const options = kind === kinds.VALUES ? this.getColumnFilterOptions(column) : [];
+    return {
+      label: `Filter ${column.label}`,
+      style: `left: ${this.filterPopoverLeft}px;`,
+      isValues: kind === kinds.VALUES,
+      isDate: kind === kinds.DATE,
+      isNumber: kind === kinds.NUMBER,
+      options: options,
+      hasOptions: options.length > 0,
+      values: this.filterDraft.values || [],
+      min: this.filterDraft.min,
+      max: this.filterDraft.max
+    };
+  }
+
+  /**
+   * @description Distinct values of a column in the loaded rows of the active object type
+   * Selected values stay listed even if the current rows no longer contain them
+   * @param {Object} column - Column definition
+   * @return {Array} Checkbox options ({ label, value }) sorted by label
+   */
+  getColumnFilterOptions(column) {
+    const optionsByValue = new Map();
+    const rows = this.activeFilter && this.activeFilter !== "all"
+      ? this.rows.filter((row) => row.objectType === this.activeFilter)
+      : this.rows;
+
+    for (const row of rows) {
+      if (optionsByValue.size >= HM_ConfigurableList.MAX_FILTER_OPTIONS) {
+        break;
+      }
+      const cell = this.findCellForColumn(row, column);
+      if (cell.applicable && cell.rawValue != null && cell.rawValue !== "") {
+        const value = String(cell.rawValue);
+        if (!optionsByValue.has(value)) {
+          optionsByValue.set(value, { label: cell.value || value, value });
+        }
+      }
+    }
+    (this.filterDraft?.values || []).forEach((value) => {
+      if (!optionsByValue.has(value)) {
+        optionsByValue.set(value, { label: value, value });
+      }
+    });
+
+    return [...optionsByValue.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  /**
+   * @description Track checkbox selections in the popover
+   * @param {Event} event - Change event from lightning-checkbox-group
+   */
+  handleFilterValuesChange(event) {
+    this.filterDraft = { ...this.filterDraft, values: [...event.detail.value] };
+  }
+
+  /**
+   * @description Track min/max (or from/to) inputs in the popover
+   * @param {Event} event - Change event from lightning-input with data-bound="min" or "max"
+   */
+  handleFilterBoundChange(event) {
+    const bound = event.target.dataset.bound;
+    const value = event.detail.value;
+    this.filterDraft = { ...this.filterDraft, [bound]: value === "" || value == null ? null : value };
+  }
+
+  /**
+   * @description Close the popover on Escape
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleFilterPopoverKeydown(event) {
+    if (event.key === "Escape") {
+      event.stopPropagation();
+      this.closeFilterPopover();
+    }
+  }
+
+  /**
+   * @description Apply the popover edits to the column
+   * An empty selection or range removes the column's filter
+   */
+  handleFilterPopoverApply() {
+    const draft = this.filterDraft;
+    const kinds = HM_ConfigurableList.COLUMN_FILTER_KINDS;
+    let filter = null;
+    if (draft.kind === kinds.VALUES) {
+      filter = draft.values.length > 0 ? { kind: draft.kind, values: draft.values } : null;
+    } else if (draft.kind === kinds.NUMBER) {
+      const min = draft.min == null ? null : Number(draft.min);
+      const max = draft.max == null ? null : Number(draft.max);
+      filter = min != null || max != null ? { kind: draft.kind, min, max } : null;
+    } else {
+      filter = draft.min || draft.max ? { kind: draft.kind, min: draft.min, max: draft.max } : null;
+    }
+    this.setColumnFilter(this.openFilterColumnKey, filter);
+    this.closeFilterPopover();
+  }
+
+  /**
+   * @description Remove the filter on the popover's column
+   */
+  handleFilterPopoverClear() {
+    this.setColumnFilter(this.openFilterColumnKey, null);
+    this.closeFilterPopover();
+  }
+
+  /**
+   * @description Remove a filter from its chip
+   * @param {Event} event - Remove event from lightning-pill (name is the column key)
+   */
+  handleFilterChipRemove(event) {
+    this.setColumnFilter(event.target.name, null);
+  }
+
+  /**
+   * @description Remove all column filters
+   */
+  handleClearColumnFilters() {
+    this.columnFilters = {};
+    this.applyColumnFilters();
+  }
+
+  /**
+   * @description Set or remove one column filter and re-apply
+   * @param {String} columnKey - Column key
+   * @param {Object} filter - Column filter, or null to remove
+   */
+  setColumnFilter(columnKey, filter) {
+    const columnFilters = { ...this.columnFilters };
+    if (filter) {
+      columnFilters[columnKey] = filter;
+    } else {
+      delete columnFilters[columnKey];
+    }
+    this.columnFilters = columnFilters;
+    this.applyColumnFilters();
+  }
+
+  /**
+   * @description Re-apply after a column filter change
+   * Server-paged lists re-query from the first page; others filter the loaded rows
+   */
+  applyColumnFilters() {
+    this._cachedVisibleColumns = null;
+    this._cachedVisibleColumnsFilter = null;
+    if (this.serverPaged) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
+    }
+    this.applyFilter();
+  }
+
+  /**
+   * @description Chips describing the active column filters
+   * @return {Array} Chips ({ key, label })
+   */
+  get columnFilterChips() {
+    return this.activeColumnFilters.map(({ column, filter }) => ({
+      key: column.key,
+      label: `${column.label}: ${this.describeColumnFilter(column, filter)}`
+    }));
+  }
+
+  /**
+   * @description Whether any column filter chips are shown
+   */
+  get hasColumnFilterChips() {
+    return this.activeColumnFilters.length > 0;
+  }
+
+  /**
+   * @description Short text for a column filter chip
+   * @param {Object} column - Column definition
+   * @param {Object} filter - Column filter
+   * @return {String} e.g. "Prospecting, Closed Won", "3 selected", "≥ $1K", "1/1/2025 – 3/31/2025"
+   */
+  describeColumnFilter(column, filter) {
+    if (filter.kind === HM_ConfigurableList.COLUMN_FILTER_KINDS.VALUES) {
+      if (filter.values.length > 2) {
+        return `${filter.values.length} selected`;
+      }
+      const options = this.getColumnFilterOptions(column);
+      return filter.values
+        .map((value) => options.find((option) => option.value === value)?.label || value)
+        .join(", ");
+    }
+
+    // Date range bounds are plain dates, even for Date Time and Relative Time columns
+    const boundFormat = this.getColumnFilterKind(column) === HM_ConfigurableList.COLUMN_FILTER_KINDS.DATE
+      ? HM_ConfigurableList.FORMAT_TYPES.DATE
+      : column.formatType;
+    const min = filter.min == null || filter.min === "" ? null : this.formatValue(filter.min, boundFormat);
+    const max = filter.max == null || filter.max === "" ? null : this.formatValue(filter.max, boundFormat);
+    if (min && max) {
+      return `${min} – ${max}`;
+    }
+    return min ? `≥ ${min}` : `≤ ${max}`;
+  }
+
+  /**
+   * @description Lifecycle hook called when component is removed from DOM
+   * Cancels a pending search
+   */
+  disconnectedCallback() {
+    if (this._searchTimeout) {
+      clearTimeout(this._searchTimeout);
+      this._searchTimeout = null;
+    }
+    this.stopColumnResize();
+    this.clearLinkPreviewTimers();
+    // Save a width change still waiting for resizing to pause
+    if (this.cancelColumnWidthSave()) {
+      this.persistColumnPreferences(this.columnPreferences);
+    }
+  }
+
+  // ==================== INLINE EDITING ====================
+
+  /**
+   * @description Whether any configured column is marked editable
+   */
+  get hasEditableColumns() {
+    return this.columns.some((column) => column.editable);
+  }
+
+  /**
+   * @description Request object metadata for the object types in the rows
+   * Only changes the wired parameter when the set of objects changes
+   */
+  updateObjectInfoApiNames() {
+    if (!this.hasEditableColumns && !this.hasRowActions && !this.enableRowSelection) {
+      this.objectInfoApiNames = undefined;
+      return;
+    }
+    const names = this.getUniqueObjectTypes()
+      .filter((name) => name !== HM_ConfigurableList.OBJECT_TYPES.UNKNOWN)
+      .sort();
+    if (names.join(",") !== (this.objectInfoApiNames || []).join(",")) {
+      this.objectInfoApiNames = names.length > 0 ? names : undefined;
+    }
+  }
+
+  /**
+   * @description Field metadata for an editable cell
+   * @param {Object} row - Row object
+   * @param {Object} column - Column definition
+   * @return {Object} UI API field info when the user can edit the record's field, otherwise null
+   */
+  getEditableFieldInfo(row, column) {
+    if (!column.editable || column.isVirtual || !row.record?.Id) {
+      return null;
+    }
+    const objectInfo = this.objectInfos[row.objectType];
+    if (!objectInfo || !objectInfo.updateable) {
+      return null;
+    }
+    const fieldInfo = this.getFieldInfo(objectInfo, column.fieldApiName);
+    return fieldInfo && fieldInfo.updateable ? fieldInfo : null;
+  }
+
+  /**
+   * @description Look up a field in object metadata
+   * Field API names are typed by admins, so the match is case-insensitive
+   * @param {Object} objectInfo - UI API object info
+   * @param {String} fieldApiName - Field API name
+   * @return {Object} UI API field info, or undefined when the object has no such field
+   */
+  getFieldInfo(objectInfo, fieldApiName) {
+    if (!objectInfo || !fieldApiName) {
+      return undefined;
+    }
+    return objectInfo.fields[fieldApiName]
+      || Object.values(objectInfo.fields).find(
+        (field) => field.apiName.toLowerCase() === fieldApiName.toLowerCase()
+      );
+  }
+
+  /**
+   * @description Rows for the current page, with inline edit state, row actions and selection
+   * Grouped lists also include group header entries (isGroupHeader) before their rows
+   */
+  get displayRows() {
+    const shouldDecorate = this.hasEditableColumns || this.hasRowActions || this.enableRowSelection
+      || this.hasChildRelationships;
+    const columns = this.visibleColumns;
+    let entries = this.displayEntries;
+    if (this.isVirtualized) {
+      const { start, end } = this.virtualWindow;
+      entries = entries.slice(start, end);
+    }
+    if (!shouldDecorate) {
+      return entries;
+    }
+    return entries.map((entry) => {
+      return entry.isGroupHeader ? entry : this.decorateRow(entry, columns);
+    });
+  }
+
+  /**
+   * @description Rows (and group headers) of the current page before virtual scrolling
+   */
+  get displayEntries() {
+    return this.isGrouped ? this.pageGroupEntries : this.paginatedRows;
+  }
+
+  /**
+   * @description Add edit flags, drafts, the save error, action menu items, selection and
+   * child records (when expanded) to a row
+   * visibleCells is built in visibleColumns order, so cells and columns line up by index
+   * @param {Object} row - Row object
+   * @param {Array} columns - Visible columns
+   * @return {Object} Row copy for the template
+   */
+  decorateRow(row, columns) {
+    const drafts = this.draftValues[row.recordId];
+    const rowError = this.rowErrors[row.recordId] || null;
+    const visibleCells = row.visibleCells.map((cell, index) => {
+      const column = columns[index];
+      const fieldInfo = column && cell.applicable ? this.getEditableFieldInfo(row, column) : null;
+      if (!fieldInfo) {
+        return cell;
+      }
+      const fieldApiName = fieldInfo.apiName;
+      const hasDraft = drafts != null && Object.prototype.hasOwnProperty.call(drafts, fieldApiName);
+      return {
+        ...cell,
+        isEditable: true,
+        isEditing: this.editingCells[`${row.recordId}:${column.key}`] === true,
+        fieldApiName: fieldApiName,
+        draftValue: hasDraft ? drafts[fieldApiName] : undefined,
+        editLabel: `Edit ${column.label}`,
+        editClass: hasDraft
+          ? HM_ConfigurableList.CSS_CLASSES.CELL_EDITED
+          : HM_ConfigurableList.CSS_CLASSES.CELL_EDITING
+      };
+    });
+    const actions = this.getRowActions(row);
+    const rowLabel = this.getRowLabel(row);
+    const isSelected = Boolean(this.selectedRecords[row.recordId]);
+    const isExpandable = this.hasChildRelationships && Boolean(row.record?.Id);
+    const isExpanded = isExpandable && this.expandedRows[row.id] === true;
+    let rowClass = HM_ConfigurableList.CSS_CLASSES.ROW;
+    if (rowError) {
+      rowClass = HM_ConfigurableList.CSS_CLASSES.ROW_ERROR;
+    } else if (isSelected) {
+      rowClass = HM_ConfigurableList.CSS_CLASSES.ROW_SELECTED;
+    }
+    return {
+      ...row,
+      visibleCells,
+      actions,
+      hasActions: actions.length > 0,
+      actionsLabel: `Actions for ${rowLabel}`,
+      isSelectable: Boolean(row.record?.Id),
+      isSelected,
+      selectLabel: `Select ${rowLabel}`,
+      rowError,
+      hasRowError: Boolean(rowError),
+      rowClass,
+      isExpandable,
+      isExpanded,
+      expandIcon: isExpanded ? "utility:chevrondown" : "utility:chevronright",
+      expandLabel: `${isExpanded ? "Collapse" : "Expand"} ${rowLabel}`,
+      ariaExpanded: String(isExpanded),
+      childPanelKey: `${row.id}-children`,
+      childTables: isExpanded ? this.buildChildTables(row) : []
+    };
+  }
+
+  // ==================== EXPANDABLE ROWS ====================
+
+  /**
+   * @description Check whether rows have child records to expand
+   */
+  get hasChildRelationships() {
+    return this.childRelationships.length > 0;
+  }
+
+  /**
+   * @description Child record mini-tables for an expanded row, one per child relationship
+   * Cells are plain formatted text; child rows open their own record
+   * @param {Object} row - Row object
+   * @return {Array} Tables with key, label, columns, rows and emptyText
+   */
+  buildChildTables(row) {
+    return this.childRelationships.map((relationship) => {
+      const records = Array.isArray(row.record[relationship.key]) ? row.record[relationship.key] : [];
+      const columns = relationship.columns || [];
+      return {
+        key: relationship.key,
+        label: `${relationship.label} (${records.length})`,
+        columns,
+        hasRows: records.length > 0,
+        emptyText: `No ${relationship.label}`,
+        rows: records.map((record, index) => {
+          const cells = columns.map((column) => {
+            const text = this.formatValue(this.getFieldValue(record, column.fieldApiName), column.formatType);
+            return { key: column.fieldApiName, text };
+          });
+          return {
+            id: record.Id || `${relationship.key}-${index}`,
+            recordId: record.Id,
+            objectType: record.objectType || relationship.objectType,
+            cells
+          };
+        })
+      };
+    });
+  }
+
+  /**
+   * @description Expand or collapse a row from its chevron
+   * @param {Event} event - Click event from the expand button
+   */
+  handleRowExpandToggle(event) {
+    const rowId = event.currentTarget.dataset.rowId;
+    this.setRowExpanded(rowId, this.expandedRows[rowId] !== true);
+  }
+
+  /**
+   * @description Expand or collapse a row
+   * @param {String} rowId - Row id
+   * @param {Boolean} expanded - True to show the row's child records
+   */
+  setRowExpanded(rowId, expanded) {
+    if (!rowId || (this.expandedRows[rowId] === true) === expanded) {
+      return;
+    }
+    const expandedRows = { ...this.expandedRows };
+    if (expanded) {
+      expandedRows[rowId] = true;
+    } else {
+      delete expandedRows[rowId];
+    }
+    this.expandedRows = expandedRows;
+  }
+
+  /**
+   * @description Switch a cell to its input
+   * @param {Event} event - Click event from the cell's edit button
+   */
+  handleInlineEditStart(event) {
+    event.stopPropagation();
+    const { recordId, columnKey } = event.currentTarget.dataset;
+    this.editingCells = { ...this.editingCells, [`${recordId}:${columnKey}`]: true };
+  }
+
+  /**
+   * @description Keep clicks and key presses in row controls (inputs, menus) from opening the record
+   * @param {Event} event - Click or keydown event
+   */
+  handleRowControlEvent(event) {
+    event.stopPropagation();
+  }
+
+  /**
+   * @description Store an input change as a draft value for its record
+   * @param {Event} event - Change event from lightning-input-field
+   */
+  handleInlineEditChange(event) {
+    event.stopPropagation();
+    const { recordId, field } = event.target.dataset;
+    this.draftValues = {
+      ...this.draftValues,
+      [recordId]: { ...(this.draftValues[recordId] || {}), [field]: event.target.value }
+    };
+  }
+
+  /**
+   * @description Whether there are unsaved drafts
+   */
+  get hasDraftChanges() {
+    return Object.keys(this.draftValues).length > 0;
+  }
+
+  /**
+   * @description Save bar text, e.g. "2 records changed (1 failed to save)"
+   */
+  get draftSummary() {
+    const count = Object.keys(this.draftValues).length;
+    const errorCount = Object.keys(this.rowErrors).length;
+    const summary = `${count} ${count === 1 ? "record" : "records"} changed`;
+    return errorCount > 0 ? `${summary} (${errorCount} failed to save)` : summary;
+  }
+
+  /**
+   * @description Discard all drafts and close all inputs
+   */
+  handleInlineEditCancel() {
+    this.editingCells = {};
+    this.draftValues = {};
+    this.rowErrors = {};
+  }
+
+  /**
+   * @description Save drafts with one updateRecord call per record
+   * Records that fail keep their drafts and show their error on the row;
+   * when any record saves, the list is re-queried so the rows show the saved values
+   */
+  async handleInlineEditSave() {
+    const entries = Object.entries(this.draftValues);
+    if (entries.length === 0 || this.isSavingEdits) {
+      return;
+    }
+
+    this.isSavingEdits = true;
+    const results = await Promise.allSettled(
+      entries.map(([recordId, fields]) => updateRecord({ fields: { ...fields, Id: recordId } }))
+    );
+
+    const remainingDrafts = {};
+    const rowErrors = {};
+    let savedCount = 0;
+    results.forEach((result, index) => {
+      const [recordId, fields] = entries[index];
+      if (result.status === "fulfilled") {
+        savedCount++;
+      } else {
+        remainingDrafts[recordId] = fields;
+        rowErrors[recordId] = this.extractSaveErrorMessage(result.reason);
+      }
+    });
+
+    this.draftValues = remainingDrafts;
+    this.rowErrors = rowErrors;
+    this.editingCells = Object.fromEntries(
+      Object.entries(this.editingCells).filter(([cellKey]) => remainingDrafts[cellKey.split(":")[0]])
+    );
+    this.isSavingEdits = false;
+
+    const failedCount = entries.length - savedCount;
+    if (failedCount > 0) {
+      this.showToast(
+        "Some changes were not saved",
+        `${failedCount} of ${entries.length} records could not be saved. See the highlighted rows.`,
+        "error"
+      );
+    } else {
+      this.showToast("Changes saved", `${savedCount} ${savedCount === 1 ? "record" : "records"} updated.`);
+    }
+
+    if (savedCount > 0) {
+      await this.loadData({ bypassCache: true });
+    }
+  }
+
+  /**
+   * @description Extract a readable message from an updateRecord error
+   * Prefers record and field errors from the UI API output over the generic message
+   * @param {Object} error - Rejection reason from updateRecord
+   * @return {String} Error message
+   */
+  extractSaveErrorMessage(error) {
+    const output = error?.body?.output;
+    if (output?.errors?.length) {
+      return output.errors[0].message;
+    }
+    const fieldErrors = output?.fieldErrors ? Object.values(output.fieldErrors).flat() : [];
+    if (fieldErrors.length > 0) {
+      return fieldErrors[0].message;
+    }
+    return this.extractErrorMessage(error);
+  }
+
+  /**
+   * @description Show a toast message
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant
+   */
+  showToast(title, message, variant = "success") {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant
+      })
+    );
+  }
+
+  // ==================== RELATED RECORD LINKS ====================
+
+  /**
+   * @description Find the related record behind a relationship column (e.g. Account.Name)
+   * convertSObjectToMap nests each parent record as a map carrying its Id and objectType
+   * @param {Object} record - Row record
+   * @param {String} fieldApiName - Column field path
+   * @return {Object} { recordId, objectType }, or null for plain fields and empty lookups
+   */
+  getRelatedRecord(record, fieldApiName) {
+    if (!fieldApiName || !fieldApiName.includes(".")) {
+      return null;
+    }
+    const relationshipPath = fieldApiName.slice(0, fieldApiName.lastIndexOf("."));
+    const parent = this.getFieldValue(record, relationshipPath);
+    if (!parent || typeof parent !== "object") {
+      return null;
+    }
+    let recordId = parent.Id;
+    // Direct lookups can fall back to the row's own lookup field (Owner -> OwnerId, Foo__r -> Foo__c)
+    if (!recordId && !relationshipPath.includes(".")) {
+      const lookupField = /__r$/i.test(relationshipPath)
+        ? `${relationshipPath.slice(0, -3)}__c`
+        : `${relationshipPath}Id`;
+      recordId = this.getFieldValue(record, lookupField);
+    }
+    return recordId ? { recordId, objectType: parent.objectType || null } : null;
+  }
+
+  /**
+   * @description Open the related record, leaving the row's own navigation alone
+   * Modified clicks keep the browser's default so the link can open in a new tab
+   * @param {MouseEvent} event - Click on a related record link
+   */
+  handleRelatedLinkClick(event) {
+    event.stopPropagation();
+    this.hideLinkPreview();
+    if (event.ctrlKey || event.metaKey || event.shiftKey) {
+      return;
+    }
+    event.preventDefault();
+    const { recordId, objectType } = event.currentTarget.dataset;
+    this[NavigationMixin.Navigate]({
+      type: "standard__recordPage",
+      attributes: {
+        recordId: recordId,
+        objectApiName: objectType || undefined,
+        actionName: "view"
+      }
+    });
+  }
+
+  /**
+   * @description Keep Enter on a link from opening the row's record; Escape closes the preview
+   * Arrow keys still reach the row for row navigation
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleRelatedLinkKeydown(event) {
+    if (event.key === "Enter") {
+      event.stopPropagation();
+    } else if (event.key === "Escape") {
+      this.hideLinkPreview();
+    }
+  }
+
+  /**
+   * @description Show the related record preview after a short hover or on keyboard focus
+   * @param {Event} event - mouseenter or focus on a related record link
+   */
+  handleLinkPreviewShow(event) {
+    const link = event.currentTarget;
+    const { recordId, objectType } = link.dataset;
+    this.clearLinkPreviewTimers();
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._previewShowTimeout = setTimeout(() => {
+      this._previewShowTimeout = null;
+      this.previewAnchor = {
+        title: link.textContent,
+        style: this.computeLinkPreviewStyle(link.getBoundingClientRect())
+      };
+      if (recordId !== this.previewRecordId) {
+        // Drop the last record's result so an earlier error does not show for this one
+        this.previewRecord = null;
+        this.previewError = null;
+      }
+      this.previewRecordId = recordId;
+      this.previewObjectApiName = objectType || undefined;
+    }, HM_ConfigurableList.LINK_PREVIEW_DELAY_MS);
+  }
+
+  /**
+   * @description Hide the preview shortly after the pointer or focus leaves the link
+   * The delay lets the pointer move from the link onto the preview
+   */
+  handleLinkPreviewLeave() {
+    this.clearLinkPreviewTimers();
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._previewHideTimeout = setTimeout(() => {
+      this._previewHideTimeout = null;
+      this.hideLinkPreview();
+    }, HM_ConfigurableList.LINK_PREVIEW_HIDE_DELAY_MS);
+  }
+
+  /**
+   * @description Keep the preview open while the pointer is over it
+   */
+  handleLinkPreviewEnter() {
+    this.clearLinkPreviewTimers();
+  }
+
+  clearLinkPreviewTimers() {
+    if (this._previewShowTimeout) {
+      clearTimeout(this._previewShowTimeout);
+      this._previewShowTimeout = null;
+    }
+    if (this._previewHideTimeout) {
+      clearTimeout(this._previewHideTimeout);
+      this._previewHideTimeout = null;
+    }
+  }
+
+  hideLinkPreview() {
+    this.clearLinkPreviewTimers();
+    this.previewAnchor = null;
+    this.previewRecordId = undefined;
+    this.previewObjectApiName = undefined;
+    this.previewRecord = null;
+    this.previewError = null;
+  }
+
+  /**
+   * @description Fixed position for the preview below the link, or above it near the bottom
+   * of the viewport
+   * @param {DOMRect} rect - Link bounds
+   * @return {String} Style attribute value
+   */
+  computeLinkPreviewStyle(rect) {
+    const gap = HM_ConfigurableList.LINK_PREVIEW_GAP;
+    const left = Math.max(gap, Math.min(rect.left, window.innerWidth - HM_ConfigurableList.LINK_PREVIEW_WIDTH - gap));
+    if (rect.bottom + HM_ConfigurableList.LINK_PREVIEW_MAX_HEIGHT > window.innerHeight) {
+      return `left: ${left}px; bottom: ${window.innerHeight - rect.top + gap}px;`;
+    }
+    return `left: ${left}px; top: ${rect.bottom + gap}px;`;
+  }
+
+  /**
+   * @description Related record preview for the template
+   * Shows the fields of the related object's compact layout, labelled from its object info
+   * @return {Object} Preview state, or null when no preview is open
+   */
+  get linkPreview() {
+    if (!this.previewAnchor || !this.previewRecordId) {
+      return null;
+    }
+    const record = this.previewRecord?.id === this.previewRecordId ? this.previewRecord : null;
+    const objectInfo = record && this.previewObjectInfo?.apiName === record.apiName
+      ? this.previewObjectInfo
+      : null;
+    const nameFields = objectInfo?.nameFields || ["Name"];
+    const fields = record
+      ? Object.keys(record.fields)
+        .filter((fieldApiName) => fieldApiName !== "Id" && !nameFields.includes(fieldApiName))
+        .slice(0, HM_ConfigurableList.LINK_PREVIEW_MAX_FIELDS)
+        .map((fieldApiName) => {
+          const field = record.fields[fieldApiName];
+          return {
+            key: fieldApiName,
+            label: objectInfo?.fields[fieldApiName]?.label || fieldApiName,
+            value: field.displayValue ?? (field.value == null ? "" : String(field.value))
+          };
+        })
+      : [];
+    return {
+      title: this.previewAnchor.title,
+      style: this.previewAnchor.style,
+      objectLabel: objectInfo?.label || record?.apiName || "",
+      isLoading: !record && !this.previewError,
+      hasError: !record && Boolean(this.previewError),
+      fields,
+      hasFields: fields.length > 0
+    };
+  }
+
+  // ==================== ROW ACTIONS ====================
+
+  /**
+   * @description Build row actions from Row Action detail maps
+   */
+  buildRowActions() {
+    this.rowActions = (this.componentConfig?.detailMaps || [])
+      .filter((map) => map.mapType === HM_ConfigurableList.MAP_TYPES.ROW_ACTION && map.actionType)
+      .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0))
+      .map((map) => ({
+        id: map.id,
+        label: map.label || map.actionType,
+        actionType: map.actionType,
+        actionTarget: map.actionTarget || null,
+        objectType: map.objectType || []
+      }));
+  }
+
+  /**
+   * @description Whether a row action menu column is shown
+   */
+  get hasRowActions() {
+    return this.rowActions.length > 0;
+  }
+
+  /**
+   * @description Actions available on a row
+   * Filters by the action's object types and, once object metadata has loaded, by the
+   * user's object permissions (e.g., Delete is hidden without delete access)
+   * @param {Object} row - Row object
+   * @return {Array} Menu items ({ id, label })
+   */
+  getRowActions(row) {
+    if (!this.hasRowActions || !row.record?.Id) {
+      return [];
+    }
+    const objectInfo = this.objectInfos[row.objectType];
+    return this.rowActions
+      .filter((action) => this.columnAppliesToObject(action, row.objectType))
+      .filter((action) => !objectInfo || this.isRowActionAllowed(action, objectInfo))
+      .map((action) => ({ id: action.id, label: action.label }));
+  }
+
+  /**
+   * @description Check object permissions for a row action
+   * @param {Object} action - Row action
+   * @param {Object} objectInfo - UI API object info for the row's object
+   * @return {Boolean} True if the user can run the action
+   */
+  isRowActionAllowed(action, objectInfo) {
+    const actionTypes = HM_ConfigurableList.ACTION_TYPES;
+    switch (action.actionType) {
+      case actionTypes.EDIT:
+        return objectInfo.updateable;
+      case actionTypes.DELETE:
+        return objectInfo.deletable;
+      case actionTypes.CLONE:
+        return objectInfo.createable;
+      case actionTypes.CHANGE_OWNER:
+        return objectInfo.updateable && objectInfo.fields.OwnerId?.updateable === true;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * @description Run the action picked from a row's menu
+   * @param {Event} event - Select event from lightning-button-menu (value is the action id)
+   */
+  handleRowActionSelect(event) {
+    const { recordId, objectType } = event.target.dataset;
+    const action = this.rowActions.find((item) => item.id === event.detail.value);
+    if (action && recordId) {
+      this.runRowAction(action, recordId, objectType);
+    }
+  }
+
+  /**
+   * @description Run a row action against one record
+   * Actions that change data re-query the list afterwards
+   * @param {Object} action - Row action
+   * @param {String} recordId - Record Id
+   * @param {String} objectType - Object API name of the record
+   */
+  async runRowAction(action, recordId, objectType) {
+    const actionTypes = HM_ConfigurableList.ACTION_TYPES;
+    switch (action.actionType) {
+      case actionTypes.EDIT:
+      case actionTypes.CLONE:
+        this[NavigationMixin.Navigate]({
+          type: "standard__recordPage",
+          attributes: {
+            recordId: recordId,
+            objectApiName: objectType,
+            actionName: action.actionType === actionTypes.EDIT ? "edit" : "clone"
+          }
+        });
+        break;
+      case actionTypes.DELETE:
+        await this.deleteRowRecord(recordId);
+        break;
+      case actionTypes.CHANGE_OWNER:
+        await this.changeRowOwner(recordId);
+        break;
+      case actionTypes.FLOW:
+        await this.runRowFlow(action, recordId);
+        break;
+      case actionTypes.QUICK_ACTION:
+        this[NavigationMixin.Navigate]({
+          type: "standard__quickAction",
+          attributes: {
+            apiName: action.actionTarget.includes(".")
+              ? action.actionTarget
+              : `${objectType}.${action.actionTarget}`
+          },
+          state: {
+            recordId: recordId,
+            objectApiName: objectType,
+            context: "RECORD_DETAIL"
+          }
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * @description Delete a record after the user confirms
+   * @param {String} recordId - Record Id
+   */
+  async deleteRowRecord(recordId) {
+    const confirmed = await LightningConfirm.open({
+      label: "Delete Record",
+      message: "Are you sure you want to delete this record?",
+      theme: "warning"
+    });
+    if (!confirmed) {
+      return;
+    }
+    try {
+      await deleteRecord(recordId);
+      this.showToast("Record deleted", "The record was deleted.");
+      await this.loadData({ bypassCache: true });
+    } catch (error) {
+      this.showToast("Record not deleted", this.extractSaveErrorMessage(error), "error");
+    }
+  }
+
+  /**
+   * @description Pick a new owner in a modal and assign it
+   * @param {String} recordId - Record Id
+   */
+  async changeRowOwner(recordId) {
+    const result = await HmChangeOwnerModal.open({
+      size: "small",
+      label: "Change Owner",
+      recordCount: 1
+    });
+    if (!result?.ownerId) {
+      return;
+    }
+    try {
+      await updateRecord({ fields: { Id: recordId, OwnerId: result.ownerId } });
+      this.showToast("Owner changed", "The record owner was updated.");
+      await this.loadData({ bypassCache: true });
+    } catch (error) {
+      this.showToast("Owner not changed", this.extractSaveErrorMessage(error), "error");
+    }
+  }
+
+  /**
+   * @description Run the action's screen flow for a record
+   * @param {Object} action - Flow row action (actionTarget is the flow API name)
+   * @param {String} recordId - Record Id passed as the recordId input variable
+   */
+  async runRowFlow(action, recordId) {
+    const result = await HmFlowModal.open({
+      size: "medium",
+      label: action.label,
+      flowApiName: action.actionTarget,
+      recordId: recordId
+    });
+    if (result === "finished") {
+      await this.loadData({ bypassCache: true });
+    }
+  }
+
+  // ==================== ROW SELECTION AND MASS ACTIONS ====================
+
+  /**
+   * @description Readable name for a row, taken from its first non-empty visible cell
+   * @param {Object} row - Row object
+   * @return {String} Row label
+   */
+  getRowLabel(row) {
+    const cell = row.visibleCells.find((item) => item && item.applicable && item.value);
+    return cell ? String(cell.value) : "record";
+  }
+
+  /**
+   * @description Rows in the current filter that can be selected (rows backed by a record)
+   * In server mode only the loaded page is available
+   */
+  get selectableRows() {
+    return this.filteredRows.filter((row) => row.record?.Id);
+  }
+
+  get selectedCount() {
+    return Object.keys(this.selectedRecords).length;
+  }
+
+  get hasSelection() {
+    return this.selectedCount > 0;
+  }
+
+  /**
+   * @description Whether every selectable row in the current filter is selected
+   */
+  get allRowsSelected() {
+    const rows = this.selectableRows;
+    return rows.length > 0 && rows.every((row) => this.selectedRecords[row.recordId]);
+  }
+
+  get selectAllLabel() {
+    return this.serverPaged ? "Select all rows on this page" : "Select all rows";
+  }
+
+  get selectionSummary() {
+    return `${this.selectedCount} selected`;
+  }
+
+  /**
+   * @description Mass update is offered when at least one editable column can be updated on
+   * every selected object type
+   */
+  get canMassUpdate() {
+    return this.massUpdateFieldOptions.length > 0;
+  }
+
+  /**
+   * @description Editable columns the user can update on every selected object type
+   * Option values are field API names as spelled by the first selected object's metadata
+   */
+  get massUpdateFieldOptions() {
+    const objectTypes = [...new Set(Object.values(this.selectedRecords).map((record) => record.objectType))];
+    const objectInfos = objectTypes.map((objectType) => this.objectInfos[objectType]);
+    if (objectInfos.length === 0 || objectInfos.some((info) => !info || !info.updateable)) {
+      return [];
+    }
+    const options = [];
+    this.columns
+      .filter((column) => column.editable && !column.isVirtual)
+      .forEach((column) => {
+        const fieldInfos = objectInfos.map((info) => this.getFieldInfo(info, column.fieldApiName));
+        const updateable = fieldInfos.every((fieldInfo) => fieldInfo && fieldInfo.updateable);
+        if (updateable && !options.some((option) => option.value === fieldInfos[0].apiName)) {
+          options.push({ label: column.label, value: fieldInfos[0].apiName });
+        }
+      });
+    return options;
+  }
+
+  /**
+   * @description Add or remove one record from the selection
+   * @param {Object} row - Row object
+   * @param {Boolean} selected - True to select
+   * @param {Object} selectedRecords - Selection map to change
+   */
+  setRowSelected(row, selected, selectedRecords) {
+    if (selected) {
+      selectedRecords[row.recordId] = {
+        recordId: row.recordId,
+        objectType: row.objectType,
+        label: this.getRowLabel(row)
+      };
+    } else {
+      delete selectedRecords[row.recordId];
+    }
+  }
+
+  /**
+   * @description Toggle one row from its checkbox
+   * @param {Event} event - Change event from the row checkbox
+   */
+  handleRowSelect(event) {
+    event.stopPropagation();
+    const { recordId } = event.target.dataset;
+    const row = this.filteredRows.find((item) => item.recordId === recordId);
+    if (!row) {
+      return;
+    }
+    if (event.target.checked && this.selectedCount >= HM_ConfigurableList.MAX_SELECTED_ROWS) {
+      event.target.checked = false;
+      this.showSelectionLimitToast();
+      return;
+    }
+    const selectedRecords = { ...this.selectedRecords };
+    this.setRowSelected(row, event.target.checked, selectedRecords);
+    this.selectedRecords = selectedRecords;
+  }
+
+  /**
+   * @description Select or clear every selectable row in the current filter
+   * Rows selected under other filters stay selected
+   * @param {Event} event - Change event from the header checkbox
+   */
+  handleSelectAll(event) {
+    const selected = event.target.checked;
+    const selectedRecords = { ...this.selectedRecords };
+    let limitReached = false;
+    this.selectableRows.forEach((row) => {
+      if (selected && !selectedRecords[row.recordId]
+        && Object.keys(selectedRecords).length >= HM_ConfigurableList.MAX_SELECTED_ROWS) {
+        limitReached = true;
+        return;
+      }
+      this.setRowSelected(row, selected, selectedRecords);
+    });
+    this.selectedRecords = selectedRecords;
+    if (limitReached) {
+      this.showSelectionLimitToast();
+    }
+  }
+
+  handleClearSelection() {
+    this.selectedRecords = {};
+  }
+
+  showSelectionLimitToast() {
+    this.showToast(
+      "Selection limit reached",
+      `Up to ${HM_ConfigurableList.MAX_SELECTED_ROWS} records can be selected at a time.`,
+      "warning"
+    );
+  }
+
+  /**
+   * @description Pick a field and value, then set it on the selected records
+   */
+  async handleMassUpdate() {
+    const fieldOptions = this.massUpdateFieldOptions;
+    if (fieldOptions.length === 0) {
+      return;
+    }
+    const result = await HmMassUpdateModal.open({
+      size: "small",
+      label: "Update Field",
+      objectApiName: Object.values(this.selectedRecords)[0].objectType,
+      fieldOptions,
+      recordCount: this.selectedCount
+    });
+    if (result?.fieldApiName) {
+      await this.runMassAction(HM_ConfigurableList.MASS_ACTIONS.UPDATE, result);
+    }
+  }
+
+  /**
+   * @description Pick a new owner, then assign it to the selected records
+   */
+  async handleMassOwnerChange() {
+    const result = await HmChangeOwnerModal.open({
+      size: "small",
+      label: "Change Owner",
+      recordCount: this.selectedCount
+    });
+    if (result?.ownerId) {
+      await this.runMassAction(HM_ConfigurableList.MASS_ACTIONS.CHANGE_OWNER, result);
+    }
+  }
+
+  /**
+   * @description Delete the selected records after the user confirms
+   */
+  async handleMassDelete() {
+    const count = this.selectedCount;
+    const confirmed = await LightningConfirm.open({
+      label: "Delete Records",
+      message: `Are you sure you want to delete ${count} ${count === 1 ? "record" : "records"}?`,
+      theme: "warning"
+    });
+    if (confirmed) {
+      await this.runMassAction(HM_ConfigurableList.MASS_ACTIONS.DELETE);
+    }
+  }
+
+  /**
+   * @description Run a mass action on the selected records and report each outcome
+   * Records without object permission or record access are skipped before any save; the rest are
+   * saved through the UI API in small parallel batches. Failed records stay selected for a retry.
+   * @param {String} action - One of MASS_ACTIONS
+   * @param {Object} params - { fieldApiName, value } for updates, { ownerId } for owner changes
+   */
+  async runMassAction(action, params = {}) {
+    const selected = Object.values(this.selectedRecords);
+    if (selected.length === 0 || this.isRunningMassAction) {
+      return;
+    }
+
+    this.isRunningMassAction = true;
+    let accessById;
+    try {
+      accessById = await getRecordAccess({ recordIds: selected.map((record) => record.recordId) });
+    } catch (error) {
+      this.isRunningMassAction = false;
+      this.showToast("Action not run", this.extractErrorMessage(error), "error");
+      return;
+    }
+
+    const skipped = [];
+    const runnable = [];
+    selected.forEach((record) => {
+      const reason = this.getMassActionSkipReason(action, record, accessById[record.recordId], params);
+      if (reason) {
+        skipped.push({ ...record, message: reason });
+      } else {
+        runnable.push(record);
+      }
+    });
+
+    const succeeded = [];
+    const failed = [];
+    const batchSize = HM_ConfigurableList.MASS_ACTION_BATCH_SIZE;
+    const batches = [];
+    for (let start = 0; start < runnable.length; start += batchSize) {
+      batches.push(runnable.slice(start, start + batchSize));
+    }
+    // Batches run one after another to keep the number of open UI API requests small
+    await batches.reduce(
+      (previousBatch, batch) => previousBatch
+        .then(() => Promise.allSettled(batch.map((record) => this.executeMassAction(action, record, params))))
+        .then((results) => {
+          results.forEach((result, index) => {
+            if (result.status === "fulfilled") {
+              succeeded.push(batch[index]);
+            } else {
+              failed.push({ ...batch[index], message: this.extractSaveErrorMessage(result.reason) });
+            }
+          });
+        }),
+      Promise.resolve()
+    );
+
+    this.selectedRecords = Object.fromEntries(
+      failed.map((record) => [record.recordId, this.selectedRecords[record.recordId]])
+    );
+    this.massActionResults = [
+      ...failed.map((record) => ({ ...record, key: record.recordId, statusLabel: "Failed" })),
+      ...skipped.map((record) => ({ ...record, key: record.recordId, statusLabel: "Skipped" }))
+    ];
+    this.massActionSummary = this.describeMassActionOutcome(
+      action,
+      selected.length,
+      succeeded.length,
+      failed.length,
+      skipped.length
+    );
+    this.isRunningMassAction = false;
+
+    this.showToast(
+      this.massActionResults.length > 0 ? "Some records were not changed" : "Records changed",
+      this.massActionSummary,
+      this.massActionResults.length > 0 ? "warning" : "success"
+    );
+
+    if (succeeded.length > 0) {
+      await this.loadData({ bypassCache: true });
+    }
+  }
+
+  /**
+   * @description Reason a selected record is left out of a mass action
+   * @param {String} action - One of MASS_ACTIONS
+   * @param {Object} record - Selected record ({ recordId, objectType, label })
+   * @param {Object} access - { canEdit, canDelete, canTransfer } from getRecordAccess, or undefined
+   * @param {Object} params - Mass action parameters
+   * @return {String} Reason, or null when the record can be processed
+   */
+  getMassActionSkipReason(action, record, access, params) {
+    const actions = HM_ConfigurableList.MASS_ACTIONS;
+    const objectInfo = this.objectInfos[record.objectType];
+    if (!access || !objectInfo) {
+      return "You don't have access to this record.";
+    }
+    if (action === actions.DELETE) {
+      return objectInfo.deletable && access.canDelete
+        ? null
+        : "You don't have permission to delete this record.";
+    }
+    if (!objectInfo.updateable || !access.canEdit) {
+      return "You don't have permission to edit this record.";
+    }
+    if (action === actions.CHANGE_OWNER) {
+      return access.canTransfer && this.getFieldInfo(objectInfo, "OwnerId")?.updateable
+        ? null
+        : "You don't have permission to change the owner of this record.";
+    }
+    const fieldInfo = this.getFieldInfo(objectInfo, params.fieldApiName);
+    return fieldInfo && fieldInfo.updateable
+      ? null
+      : `You don't have permission to edit ${params.fieldApiName} on ${objectInfo.label}.`;
+  }
+
+  /**
+   * @description Save one record for a mass action
+   * @param {String} action - One of MASS_ACTIONS
+   * @param {Object} record - Selected record
+   * @param {Object} params - Mass action parameters
+   * @return {Promise} Resolves when the record is saved or deleted
+   */
+  executeMassAction(action, record, params) {
+    const actions = HM_ConfigurableList.MASS_ACTIONS;
+    if (action === actions.DELETE) {
+      return deleteRecord(record.recordId);
+    }
+    if (action === actions.CHANGE_OWNER) {
+      return updateRecord({ fields: { Id: record.recordId, OwnerId: params.ownerId } });
+    }
+    const fieldInfo = this.getFieldInfo(this.objectInfos[record.objectType], params.fieldApiName);
+    return updateRecord({ fields: { Id: record.recordId, [fieldInfo.apiName]: params.value } });
+  }
+
+  /**
+   * @description Summary such as "8 of 10 records updated. 1 failed, 1 skipped."
+   * @param {String} action - One of MASS_ACTIONS
+   * @param {Number} total - Selected records
+   * @param {Number} succeeded - Records changed
+   * @param {Number} failed - Records the save rejected
+   * @param {Number} skipped - Records left out for permissions or access
+   * @return {String} Summary text
+   */
+  describeMassActionOutcome(action, total, succeeded, failed, skipped) {
+    const verb = HM_ConfigurableList.MASS_ACTION_VERBS[action];
+    const summary = `${succeeded} of ${total} ${total === 1 ? "record" : "records"} ${verb}.`;
+    const problems = [];
+    if (failed > 0) {
+      problems.push(`${failed} failed`);
+    }
+    if (skipped > 0) {
+      problems.push(`${skipped} skipped`);
+    }
+    return problems.length > 0 ? `${summary} ${problems.join(", ")}.` : summary;
+  }
+
+  get hasMassActionResults() {
+    return Boolean(this.massActionSummary);
+  }
+
+  handleDismissMassActionResults() {
+    this.massActionSummary = null;
+    this.massActionResults = [];
+  }
+
+  // ==================== EXPORT ====================
+
+  get exportCsvValue() {
+    return EXPORT_FORMATS.CSV;
+  }
+
+  get exportXlsxValue() {
+    return EXPORT_FORMATS.XLSX;
+  }
+
+  get exportCurrentPageValue() {
+    return HM_ConfigurableList.EXPORT_MENU_VALUES.CURRENT_PAGE;
+  }
+
+  get exportRawValuesValue() {
+    return HM_ConfigurableList.EXPORT_MENU_VALUES.RAW_VALUES;
+  }
+
+  /**
+   * @description Handle a pick from the export menu: toggle an option or start a download
+   * @param {Event} event - Select event from lightning-button-menu
+   */
+  handleExportSelect(event) {
+    const value = event.detail.value;
+    if (value === HM_ConfigurableList.EXPORT_MENU_VALUES.CURRENT_PAGE) {
+      this.exportCurrentPageOnly = !this.exportCurrentPageOnly;
+    } else if (value === HM_ConfigurableList.EXPORT_MENU_VALUES.RAW_VALUES) {
+      this.exportRawValues = !this.exportRawValues;
+    } else {
+      this.exportList(value);
+    }
+  }
+
+  /**
+   * @description Download the list as CSV or .xlsx
+   * Columns follow visibleColumns for the active object filter; rows are the filtered, sorted
+   * rows (all pages unless "Current page only" is checked)
+   * @param {String} format - One of EXPORT_FORMATS
+   */
+  async exportList(format) {
+    if (this.isExporting) {
+      return;
+    }
+    this.isExporting = true;
+    try {
+      const columns = this.visibleColumns;
+      const { rows, totalCount } = await this.getExportRows(columns);
+      downloadExport({
+        format,
+        title: this.title,
+        headers: columns.map((column) => column.label),
+        rows: rows.map((row) => row.visibleCells.map((cell) => this.getExportValue(cell)))
+      });
+      if (rows.length < totalCount) {
+        this.showToast(
+          "Export truncated",
+          `Exported the first ${rows.length} of ${totalCount} records.`,
+          "warning"
+        );
+      }
+    } catch (error) {
+      this.showToast("Export failed", this.extractErrorMessage(error), "error");
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * @description Rows to export, with visibleCells aligned to the given columns
+   * @param {Array} columns - Visible columns
+   * @return {Promise<Object>} { rows, totalCount }
+   */
+  async getExportRows(columns) {
+    if (this.enablePagination && this.exportCurrentPageOnly) {
+      const rows = this.paginatedRows;
+      return { rows, totalCount: rows.length };
+    }
+    if (!this.serverPaged) {
+      return { rows: this.filteredRows, totalCount: this.filteredRows.length };
+    }
+    return this.fetchAllServerRows(columns);
+  }
+
+  /**
+   * @description Fetch every page of a server-paged list with the current search, filters and sort
+   * Apex stops paging at its OFFSET limit, so very large lists may return fewer rows than totalCount.
+   * Pages bypass the Apex cache so an export never contains values from before an edit or refresh
+   * @param {Array} columns - Visible columns
+   * @return {Promise<Object>} { rows, totalCount }
+   */
+  async fetchAllServerRows(columns) {
+    const { rows, totalCount } = await this.fetchServerRowPages(1, [], 0);
+    rows.forEach((row) => {
+      row.visibleCells = columns.map((column) => this.findCellForColumn(row, column));
+    });
+    return { rows, totalCount: Math.max(totalCount, rows.length) };
+  }
+
+  /**
+   * @description Fetch one export page, then the pages after it
+   * Pages are requested in order so the export keeps the sort order
+   * @param {Number} page - Page to fetch
+   * @param {Array} rows - Rows fetched so far (appended to)
+   * @param {Number} totalCount - Total count reported so far
+   * @return {Promise<Object>} { rows, totalCount }
+   */
+  async fetchServerRowPages(page, rows, totalCount) {
+    const context = this.buildRequestContext();
+    context.pagination = {
+      ...context.pagination,
+      page,
+      pageSize: HM_ConfigurableList.EXPORT_PAGE_SIZE
+    };
+    const response = await refreshComponentQuery({ componentId: this.componentId, context });
+    // Apex clamps a page past its reachable range back to the last one
+    if (!response?.success || response.shape !== "LIST" || (response.page || 1) < page) {
+      return { rows, totalCount };
+    }
+    rows.push(...this.formatRows(response.rows || []));
+    const pageTotalCount = response.totalCount || rows.length;
+    return page < (response.pageCount || 1)
+      ? this.fetchServerRowPages(page + 1, rows, pageTotalCount)
+      : { rows, totalCount: pageTotalCount };
+  }
+
+  /**
+   * @description Export value for a cell: the formatted text shown in the list, or the raw field value
+   * @param {Object} cell - Cell object
+   * @return {*} Value for the CSV or worksheet cell
+   */
+  getExportValue(cell) {
+    if (!cell || !cell.applicable) {
+      return "";
+    }
+    const value = this.exportRawValues ? cell.rawValue : cell.value;
+    return value ?? "";
+  }
+
+  // ==================== ROW GROUPING ====================
+
+  /**
+   * @description Active group-by column, if it is visible for the current object filter
+   */
+  get groupByColumn() {
+    return this.groupByColumnKey
+      ? this.visibleColumns.find((column) => column.key === this.groupByColumnKey) || null
+      : null;
+  }
+
+  get isGrouped() {
+    return this.rowGroups.length > 0;
+  }
+
+  /**
+   * @description Group By menu items: "No grouping" plus every visible column
+   */
+  get groupByMenuItems() {
+    const activeKey = this.groupByColumn ? this.groupByColumnKey : null;
+    return [
+      {
+        value: HM_ConfigurableList.NO_GROUPING_VALUE,
+        label: "No grouping",
+        checked: activeKey === null
+      },
+      ...this.visibleColumns.map((column) => ({
+        value: column.key,
+        label: column.label,
+        checked: column.key === activeKey
+      }))
+    ];
+  }
+
+  /**
+   * @description Change the group-by column from the header menu
+   * Server-paged lists re-query so Apex orders the rows by the new group field
+   * @param {Event} event - Select event from lightning-button-menu
+   */
+  handleGroupBySelect(event) {
+    const value = event.detail.value;
+    this.groupByColumnKey = value === HM_ConfigurableList.NO_GROUPING_VALUE ? null : value;
+    this.collapsedGroups = {};
+    if (this.serverPaged) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
+    }
+    this.applyFilter();
+  }
+
+  /**
+   * @description Group filteredRows by the group-by column
+   * Groups are ordered by value (in the sort direction when the list is sorted by the group column),
+   * and rows keep their sorted order inside each group. Server-paged rows arrive ordered by the
+   * group field, so their groups keep the order of the page.
+   */
+  applyGrouping() {
+    const column = this.groupByColumn;
+    if (!column) {
+      this.rowGroups = [];
+      this.groupEntries = [];
+      return;
+    }
+
+    const groupsByKey = new Map();
+    this.filteredRows.forEach((row) => {
+      const cell = row.visibleCells.find((item) => item && item.key === column.key);
+      const key = cell && cell.applicable && cell.value ? String(cell.value) : "";
+      if (!groupsByKey.has(key)) {
+        groupsByKey.set(key, {
+          key,
+          label: key || HM_ConfigurableList.BLANK_GROUP_LABEL,
+          rawValue: key ? cell.rawValue : null,
+          rows: []
+        });
+      }
+      groupsByKey.get(key).rows.push(row);
+    });
+
+    const groups = [...groupsByKey.values()];
+    if (!this.serverPaged) {
+      const direction = this.sortColumn === column.key
+        ? this.sortDirection
+        : HM_ConfigurableList.SORT_DIRECTIONS.ASC;
+      groups.sort((a, b) => {
+        // Blank group last, like blank values in sorted columns
+        if (a.rawValue == null || b.rawValue == null) {
+          return (a.rawValue == null ? 1 : 0) - (b.rawValue == null ? 1 : 0);
+        }
+        return this.compareCellValues(a.rawValue, b.rawValue, column.formatType, direction);
+      });
+    }
+
+    const subtotalColumns = this.visibleColumns.filter((item) =>
+      HM_ConfigurableList.SUBTOTAL_FORMAT_TYPES.includes(item.formatType)
+    );
+    this.rowGroups = groups.map((group) => ({
+      ...group,
+      subtotals: this.calculateGroupSubtotals(group.rows, subtotalColumns)
+    }));
+    this.filteredRows = this.rowGroups.flatMap((group) => group.rows);
+    this.buildGroupEntries();
+  }
+
+  /**
+   * @description Sum and average of each subtotal column over a group's rows
+   * Cells without a numeric value are left out of the average. Server-paged lists only have the
+   * current page's rows, so their subtotals are labeled as page subtotals
+   * @param {Array} rows - Rows in the group
+   * @param {Array} columns - Currency and Number columns
+   * @return {Array} Subtotals ({ key, text })
+   */
+  calculateGroupSubtotals(rows, columns) {
+    return columns
+      .map((column) => {
+        const values = rows
+          .map((row) => row.visibleCells.find((cell) => cell && cell.key === column.key))
+          .filter((cell) => cell && cell.applicable && cell.rawValue !== null && cell.rawValue !== "")
+          .map((cell) => Number(cell.rawValue))
+          .filter((value) => Number.isFinite(value));
+        if (values.length === 0) {
+          return null;
+        }
+        const sum = values.reduce((total, value) => total + value, 0);
+        const sumText = this.formatValue(sum, column.formatType);
+        const avgText = this.formatValue(sum / values.length, column.formatType);
+        const label = this.serverPaged ? `${column.label} (this page)` : column.label;
+        return { key: column.key, text: `${label}: Sum ${sumText} · Avg ${avgText}` };
+      })
+      .filter((subtotal) => subtotal !== null);
+  }
+
+  /**
+   * @description Flatten groups into header entries followed by their rows (collapsed groups
+   * contribute only their header)
+   */
+  buildGroupEntries() {
+    const entries = [];
+    this.rowGroups.forEach((group) => {
+      entries.push(this.createGroupHeader(group, false));
+      if (!this.collapsedGroups[group.key]) {
+        entries.push(...group.rows);
+      }
+    });
+    this.groupEntries = entries;
+  }
+
+  /**
+   * @description Build the header entry for a group
+   * @param {Object} group - Group from rowGroups
+   * @param {Boolean} continued - True when repeating the header at the top of a later page
+   * @return {Object} Group header entry for the template
+   */
+  createGroupHeader(group, continued) {
+    const isCollapsed = Boolean(this.collapsedGroups[group.key]);
+    const count = group.rows.length;
+    // A server-paged group may continue on other pages, so its count covers this page only
+    const countLabel = `${count} ${count === 1 ? "record" : "records"}${this.serverPaged ? " on this page" : ""}`;
+    return {
+      id: `group:${group.key}${continued ? ":continued" : ""}`,
+      isGroupHeader: true,
+      groupKey: group.key,
+      label: continued ? `${group.label} (continued)` : group.label,
+      countLabel,
+      subtotals: group.subtotals,
+      hasSubtotals: group.subtotals.length > 0,
+      toggleIcon: isCollapsed ? "utility:chevronright" : "utility:chevrondown",
+      toggleLabel: `${isCollapsed ? "Expand" : "Collapse"} ${group.label}`,
+      ariaExpanded: String(!isCollapsed)
+    };
+  }
+
+  /**
+   * @description Page index of each group entry when paging by records
+   * Only rows count toward recordsPerPage; a group header goes on the page of the row after it
+   * @return {Array} Zero-based page index for each entry in groupEntries
+   */
+  getGroupEntryPages() {
+    let rowCount = 0;
+    return this.groupEntries.map((entry) => {
+      const page = Math.floor(rowCount / this.recordsPerPage);
+      if (!entry.isGroupHeader) {
+        rowCount++;
+      }
+      return page;
+    });
+  }
+
+  /**
+   * @description Group entries on the current page
+   * A group that continues from the previous page gets its header repeated at the top
+   */
+  get pageGroupEntries() {
+    if (!this.enablePagination || this.serverPaged) {
+      return this.groupEntries;
+    }
+    const pageIndex = this.currentPage - 1;
+    const entryPages = this.getGroupEntryPages();
+    const entries = this.groupEntries.filter((entry, index) => entryPages[index] === pageIndex);
+    if (entries.length > 0 && !entries[0].isGroupHeader) {
+      const group = this.rowGroups.find((item) => item.rows.includes(entries[0]));
+      if (group) {
+        entries.unshift(this.createGroupHeader(group, true));
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @description Collapse or expand a group
+   * @param {Event} event - Click event from the group header toggle
+   */
+  handleGroupToggle(event) {
+    event.stopPropagation();
+    const { groupKey } = event.currentTarget.dataset;
+    this.collapsedGroups = { ...this.collapsedGroups, [groupKey]: !this.collapsedGroups[groupKey] };
+    this.buildGroupEntries();
+    this.updatePagination();
+  }
+
+  // ==================== FOOTER AGGREGATES ====================
+
+  /**
+   * @description Visible columns configured with a footer aggregate
+   */
+  get footerColumns() {
+    return this.visibleColumns.filter((column) => column.footerAggregate);
+  }
+
+  get hasFooter() {
+    return this.footerColumns.length > 0 && this.filteredRows.length > 0;
+  }
+
+  /**
+   * @description Footer cells aligned with visibleColumns
+   * Computed from filteredRows (every page of the current filter and search), so they follow
+   * filter and search changes; server-paged lists use the totals Apex computed in SOQL
+   */
+  get footerCells() {
+    return this.visibleColumns.map((column) => {
+      if (!column.footerAggregate) {
+        return { key: column.key, widthStyle: column.widthStyle, hasValue: false };
+      }
+      const value = this.serverPaged
+        ? this.serverAggregates[column.key]
+        : this.calculateFooterAggregate(column);
+      return {
+        key: column.key,
+        widthStyle: column.widthStyle,
+        hasValue: value !== null && value !== undefined,
+        label: column.footerAggregate,
+        text: this.formatFooterValue(value, column),
+        title: `${column.footerAggregate} of ${column.label}`
+      };
+    });
+  }
+
+  /**
+   * @description Aggregate a column over the filtered rows
+   * Count counts cells with a value; the other aggregates use numeric values only
+   * @param {Object} column - Column with footerAggregate
+   * @return {Number} Aggregate value, or null when no row has a usable value
+   */
+  calculateFooterAggregate(column) {
+    const aggregates = HM_ConfigurableList.FOOTER_AGGREGATES;
+    const rawValues = this.filteredRows
+      .map((row) => row.visibleCells.find((cell) => cell && cell.key === column.key))
+      .filter((cell) => cell && cell.applicable && cell.rawValue !== null && cell.rawValue !== "")
+      .map((cell) => cell.rawValue);
+
+    if (column.footerAggregate === aggregates.COUNT) {
+      return rawValues.length;
+    }
+    const values = rawValues.map((value) => Number(value)).filter((value) => Number.isFinite(value));
+    if (values.length === 0) {
+      return null;
+    }
+    switch (column.footerAggregate) {
+      case aggregates.SUM:
+        return values.reduce((total, value) => total + value, 0);
+      case aggregates.AVERAGE:
+        return values.reduce((total, value) => total + value, 0) / values.length;
+      case aggregates.MIN:
+        return values.reduce((min, value) => Math.min(min, value));
+      case aggregates.MAX:
+        return values.reduce((max, value) => Math.max(max, value));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @description Format a footer value like the column's cells (counts as plain numbers)
+   * @param {Number} value - Aggregate value
+   * @param {Object} column - Column with footerAggregate
+   * @return {String} Formatted value
+   */
+  formatFooterValue(value, column) {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    if (column.footerAggregate === HM_ConfigurableList.FOOTER_AGGREGATES.COUNT) {
+      return this.formatNumber(value);
+    }
+    return this.formatValue(value, column.formatType);
+  }
+
+  // ==================== COLUMN PREFERENCES ====================
+
+  /**
+   * @description Load the user's saved column order, hidden columns and widths for this list
+   * Lists without saved preferences (or whose preferences fail to load) show the configured columns.
+   * Preferences are queried once per component in a session; saves and resets update the cache
+   */
+  async loadColumnPreferences() {
+    const componentId = this.componentId;
+    let preferences = null;
+    if (columnPreferencesCache.has(componentId)) {
+      preferences = columnPreferencesCache.get(componentId);
+    } else {
+      try {
+        const saved = await getListPreferences({ componentId });
+        preferences = saved ? JSON.parse(saved) : null;
+        columnPreferencesCache.set(componentId, preferences);
+      } catch {
+        // Fall back to the configured columns
+        preferences = null;
+      }
+    }
+    // Ignore a response for a component this list no longer shows
+    if (componentId === this.componentId) {
+      this.setColumnPreferences(preferences);
+    }
+  }
+
+  /**
+   * @description Replace the column preferences and re-render the columns
+   * @param {Object} preferences - { order, hidden, widths }, or null for the configured columns
+   */
+  setColumnPreferences(preferences) {
+    this.columnPreferences = preferences
+      ? {
+          order: Array.isArray(preferences.order) ? preferences.order : [],
+          hidden: Array.isArray(preferences.hidden) ? preferences.hidden : [],
+          widths: preferences.widths && typeof preferences.widths === "object" ? preferences.widths : {}
+        }
+      : null;
+    this._columnPreferencesVersion++;
+    this._cachedVisibleColumns = null;
+    this._cachedVisibleColumnsFilter = null;
+    this.applyColumnWidths();
+
+    if (!this.rows.length) {
+      return;
+    }
+    // Hidden columns drop out of search, column filters and grouping, which server-paged
+    // lists apply in SOQL
+    const hasServerFilters = this.searchTerm || Object.keys(this.columnFilters).length > 0 || this.groupByColumnKey;
+    if (this.serverPaged && hasServerFilters) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
+    }
+    const currentPage = this.currentPage;
+    this.applyFilter();
+    this.currentPage = Math.min(currentPage, this.totalPages);
+  }
+
+  /**
+   * @description Sort columns by the user's saved order
+   * Columns missing from the saved order (added by an admin later) keep their configured
+   * position relative to each other, after the ordered ones
+   * @param {Array} columns - Columns for the current filter in configured order
+   * @return {Array} Columns in display order
+   */
+  orderColumnsByPreference(columns) {
+    const order = this.columnPreferences?.order || [];
+    if (!order.length) {
+      return columns;
+    }
+    const positions = new Map(order.map((key, index) => [key, index]));
+    const ordered = columns.filter((column) => positions.has(column.key));
+    ordered.sort((a, b) => positions.get(a.key) - positions.get(b.key));
+    return [...ordered, ...columns.filter((column) => !positions.has(column.key))];
+  }
+
+  /**
+   * @description Drop the columns the user hid
+   * Keeps every column when all of them are hidden, so the list never renders empty
+   * @param {Array} columns - Columns in display order
+   * @return {Array} Visible columns
+   */
+  removeHiddenColumns(columns) {
+    const hidden = new Set(this.columnPreferences?.hidden || []);
+    if (!hidden.size) {
+      return columns;
+    }
+    const shown = columns.filter((column) => !hidden.has(column.key));
+    return shown.length ? shown : columns;
+  }
+
+  /**
+   * @description Inline flex style for a column's header, cells and footer
+   * Reads a per-column CSS custom property, so resizing updates every cell without re-rendering
+   * @param {String} columnKey - Column key
+   * @return {String} Style attribute value
+   */
+  getColumnWidthStyle(columnKey) {
+    return `flex: var(${this.getColumnWidthProperty(columnKey)}, 1 1 0);`;
+  }
+
+  /**
+   * @description CSS custom property holding a column's flex value
+   * @param {String} columnKey - Column key
+   * @return {String} Property name
+   */
+  getColumnWidthProperty(columnKey) {
+    return `--cc-col-flex-${columnKey}`;
+  }
+
+  /**
+   * @description Set or clear a column's fixed width on the host element
+   * @param {String} columnKey - Column key
+   * @param {Number} width - Width in px, or null for the default flexible width
+   */
+  setColumnWidth(columnKey, width) {
+    const property = this.getColumnWidthProperty(columnKey);
+    if (width) {
+      this.template.host.style.setProperty(property, `0 0 ${width}px`);
+    } else {
+      this.template.host.style.removeProperty(property);
+    }
+  }
+
+  /**
+   * @description Apply the saved column widths, clearing widths that are no longer saved
+   */
+  applyColumnWidths() {
+    const widths = this.columnPreferences?.widths || {};
+    this._appliedWidthKeys
+      .filter((key) => !widths[key])
+      .forEach((key) => this.setColumnWidth(key, null));
+    Object.keys(widths).forEach((key) => this.setColumnWidth(key, widths[key]));
+    this._appliedWidthKeys = Object.keys(widths);
+  }
+
+  /**
+   * @description Save the column preferences for the running user
+   * The list already shows the new preferences; a failed save only shows an error toast.
+   * Saves run one at a time, so a user's first two saves cannot both insert their record
+   * @param {Object} preferences - { order, hidden, widths }
+   * @return {Promise} Resolves when this save has finished
+   */
+  persistColumnPreferences(preferences) {
+    const componentId = this.componentId;
+    columnPreferencesCache.set(componentId, preferences);
+    this._preferenceSave = this._preferenceSave.then(async () => {
+      try {
+        await saveListPreferences({
+          componentId,
+          preferences: JSON.stringify(preferences)
+        });
+      } catch (error) {
+        this.showToast("Column preferences not saved", this.extractErrorMessage(error), "error");
+      }
+    });
+    return this._preferenceSave;
+  }
+
+  /**
+   * @description Open the column chooser for the current filter's columns
+   * Saved choices merge into the preferences, so columns of other object filters keep theirs
+   */
+  async handleColumnChooserClick() {
+    const preferences = this.columnPreferences || { order: [], hidden: [], widths: {} };
+    // Reading visibleColumns refreshes the available columns for the current filter
+    const visibleKeys = new Set(this.visibleColumns.map((column) => column.key));
+    const result = await HmColumnChooserModal.open({
+      size: "small",
+      label: "Choose Columns",
+      columns: this._availableColumns.map((column) => ({
+        key: column.key,
+        label: column.label,
+        visible: visibleKeys.has(column.key)
+      })),
+      hasCustomPreferences: this.columnPreferences !== null
+    });
+
+    if (result?.action === HM_ConfigurableList.COLUMN_CHOOSER_ACTIONS.RESET) {
+      await this.resetColumnPreferences();
+      return;
+    }
+    if (result?.action !== HM_ConfigurableList.COLUMN_CHOOSER_ACTIONS.SAVE) {
+      return;
+    }
+
+    const chosenKeys = new Set(result.columns.map((column) => column.key));
+    const updated = {
+      order: [
+        ...result.columns.map((column) => column.key),
+        ...preferences.order.filter((key) => !chosenKeys.has(key))
+      ],
+      hidden: [
+        ...preferences.hidden.filter((key) => !chosenKeys.has(key)),
+        ...result.columns.filter((column) => !column.visible).map((column) => column.key)
+      ],
+      widths: preferences.widths
+    };
+    this.setColumnPreferences(updated);
+    // The saved preferences already include any width still waiting to be saved
+    this.cancelColumnWidthSave();
+    await this.persistColumnPreferences(updated);
+  }
+
+  /**
+   * @description Delete the user's preferences and show the configured columns again
+   */
+  async resetColumnPreferences() {
+    try {
+      this.cancelColumnWidthSave();
+      await this._preferenceSave;
+      await resetListPreferences({ componentId: this.componentId });
+      columnPreferencesCache.set(this.componentId, null);
+      this.setColumnPreferences(null);
+      this.showToast("Columns reset", "The list shows the default columns again.");
+    } catch (error) {
+      this.showToast("Columns not reset", this.extractErrorMessage(error), "error");
+    }
+  }
+
+  /**
+   * @description Start resizing a column by dragging the handle on its header's right edge
+   * @param {MouseEvent} event - Mousedown on the resize handle
+   */
+  handleColumnResizeStart(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const header = event.currentTarget.closest("[role=columnheader]");
+    if (!header) {
+      return;
+    }
+    this.stopColumnResize();
+    this._resizeState = {
+      columnKey: event.currentTarget.dataset.columnKey,
+      startX: event.clientX,
+      startWidth: header.getBoundingClientRect().width,
+      width: null,
+      onMove: this.handleColumnResizeMove.bind(this),
+      onEnd: this.handleColumnResizeEnd.bind(this)
+    };
+    window.addEventListener("mousemove", this._resizeState.onMove);
+    window.addEventListener("mouseup", this._resizeState.onEnd);
+  }
+
+  /**
+   * @description Follow the pointer while resizing
+   * @param {MouseEvent} event - Window mousemove
+   */
+  handleColumnResizeMove(event) {
+    const state = this._resizeState;
+    if (!state) {
+      return;
+    }
+    state.width = Math.max(
+      HM_ConfigurableList.MIN_COLUMN_WIDTH,
+      Math.round(state.startWidth + event.clientX - state.startX)
+    );
+    this.setColumnWidth(state.columnKey, state.width);
+  }
+
+  /**
+   * @description Finish resizing and save the new width
+   * The click that ends the drag must not sort the column under the pointer
+   */
+  handleColumnResizeEnd() {
+    const state = this._resizeState;
+    this.stopColumnResize();
+    if (!state?.width) {
+      return;
+    }
+    this._suppressSortClick = true;
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    setTimeout(() => {
+      this._suppressSortClick = false;
+    }, 0);
+    this.saveColumnWidth(state.columnKey, state.width);
+  }
+
+  /**
+   * @description Remove the window listeners of an active resize
+   */
+  stopColumnResize() {
+    if (this._resizeState) {
+      window.removeEventListener("mousemove", this._resizeState.onMove);
+      window.removeEventListener("mouseup", this._resizeState.onEnd);
+      this._resizeState = null;
+    }
+  }
+
+  /**
+   * @description Resize a column with the arrow keys on its resize handle
+   * Other keys stop here so Enter/Space on the handle do not sort the column
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleColumnResizeKeydown(event) {
+    event.stopPropagation();
+    if (event.key !== "ArrowLeft" && event.key !== "ArrowRight") {
+      return;
+    }
+    event.preventDefault();
+    const columnKey = event.currentTarget.dataset.columnKey;
+    const header = event.currentTarget.closest("[role=columnheader]");
+    const currentWidth = this.columnPreferences?.widths?.[columnKey]
+      || (header ? Math.round(header.getBoundingClientRect().width) : HM_ConfigurableList.MIN_COLUMN_WIDTH);
+    const step = event.key === "ArrowLeft"
+      ? -HM_ConfigurableList.COLUMN_RESIZE_STEP
+      : HM_ConfigurableList.COLUMN_RESIZE_STEP;
+    const width = Math.max(HM_ConfigurableList.MIN_COLUMN_WIDTH, currentWidth + step);
+    this.setColumnWidth(columnKey, width);
+    this.saveColumnWidth(columnKey, width);
+  }
+
+  /**
+   * @description Keep clicks on the resize handle from sorting the column
+   * @param {MouseEvent} event - Click event
+   */
+  handleColumnResizeClick(event) {
+    event.stopPropagation();
+  }
+
+  /**
+   * @description Store a column width in the preferences and save them once resizing pauses
+   * Holding an arrow key on a resize handle then saves once instead of on every step
+   * @param {String} columnKey - Column key
+   * @param {Number} width - Width in px
+   */
+  saveColumnWidth(columnKey, width) {
+    const preferences = this.columnPreferences || { order: [], hidden: [], widths: {} };
+    this.columnPreferences = {
+      ...preferences,
+      widths: { ...preferences.widths, [columnKey]: width }
+    };
+    this._appliedWidthKeys = Object.keys(this.columnPreferences.widths);
+
+    this.cancelColumnWidthSave();
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._columnWidthSaveTimeout = setTimeout(() => {
+      this._columnWidthSaveTimeout = null;
+      this.persistColumnPreferences(this.columnPreferences);
+    }, HM_ConfigurableList.COLUMN_WIDTH_SAVE_DELAY_MS);
+  }
+
+  /**
+   * @description Cancel a pending column width save
+   * @return {Boolean} True if a save was pending
+   */
+  cancelColumnWidthSave() {
+    if (!this._columnWidthSaveTimeout) {
+      return false;
+    }
+    clearTimeout(this._columnWidthSaveTimeout);
+    this._columnWidthSaveTimeout = null;
+    return true;
+  }
+
+  /**
+   * @description Check if filters should be shown
+   * Only show when there are 2+ different object types
+   */
+  get showFilters() {
+    return this.filters && this.filters.length >= 2;
+  }
+
+  /**
+   * @description Get filter items formatted for lightning-button-menu
+   * @returns {Array} Menu items with value, label, and checked state
+   */
+  get filterMenuItems() {
+    return this.filters.map((filter) => ({
+      value: filter.value,
+      label: `${filter.label} (${filter.count})`,
+      checked: filter.active
+    }));
+  }
+
+  /**
+   * @description Update pagination state
+   */
+  updatePagination() {
+    if (!this.enablePagination) {
+      this.totalPages = 1;
+      return;
+    }
+
+    // Page count comes from the server response
+    if (this.serverPaged) {
+      return;
+    }
+
+    // Grouped lists page by record; group headers do not take up a row of the page
+    if (this.isGrouped) {
+      const entryPages = this.getGroupEntryPages();
+      this.totalPages = entryPages.length > 0 ? entryPages[entryPages.length - 1] + 1 : 1;
+    } else {
+      this.totalPages = Math.max(1, Math.ceil(this.filteredRows.length / this.recordsPerPage));
+    }
+    
+    // Ensure current page is valid
+    if (this.currentPage > this.totalPages) {
+      this.currentPage = this.totalPages;
+    }
+  }
+
+  /**
+   * @description Get paginated rows
+   */
+  get paginatedRows() {
+    if (this.isGrouped) {
+      return this.pageGroupEntries.filter((entry) => !entry.isGroupHeader);
+    }
+    // IMPORTANT: filteredRows should already be sorted by applyFilter()
+    // We just slice it for pagination - sorting happens on full dataset
+    // Server-paged responses already contain only the current page
+    if (!this.enablePagination || this.serverPaged) {
+      return this.filteredRows;
+    }
+
+    const startIndex = (this.currentPage - 1) * this.recordsPerPage;
+    const endIndex = startIndex + this.recordsPerPage;
+    // Slice the already-sorted filteredRows
+    return this.filteredRows.slice(startIndex, endIndex);
+  }
+
+  // ==================== VIRTUAL SCROLLING ====================
+
+  /**
+   * @description Check whether the list renders only the rows in view
+   * Paginated lists already render a bounded page, so only unpaginated lists are virtualized
+   */
+  get isVirtualized() {
+    return !this.enablePagination
+      && this.displayEntries.length > HM_ConfigurableList.VIRTUAL_SCROLL_THRESHOLD;
+  }
+
+  /**
+   * @description Range of entries to render for the current scroll position
+   * The start is clamped so a list that got shorter (e.g. after filtering) still fills the view
+   * @return {Object} { start, end, total } entry indexes, end exclusive
+   */
+  get virtualWindow() {
+    const total = this.displayEntries.length;
+    const count = Math.ceil(this.virtualViewportHeight / HM_ConfigurableList.VIRTUAL_ROW_HEIGHT)
+      + 2 * HM_ConfigurableList.VIRTUAL_OVERSCAN_ROWS;
+    const start = Math.max(0, Math.min(this.virtualStartIndex, total - count));
+    return { start, end: Math.min(total, start + count), total };
+  }
+
+  /**
+   * @description Spacer heights standing in for the entries above and below the rendered ones
+   */
+  get virtualTopSpacerStyle() {
+    const expandedIndexes = this.virtualExpandedIndexes;
+    return `height: ${this.getVirtualOffset(this.virtualWindow.start, expandedIndexes)}px;`;
+  }
+
+  get virtualBottomSpacerStyle() {
+    const { end, total } = this.virtualWindow;
+    const expandedIndexes = this.virtualExpandedIndexes;
+    const height = this.getVirtualOffset(total, expandedIndexes) - this.getVirtualOffset(end, expandedIndexes);
+    return `height: ${height}px;`;
+  }
+
+  /**
+   * @description Indexes of the entries whose child panel is open, in ascending order
+   */
+  get virtualExpandedIndexes() {
+    if (Object.keys(this.expandedRows).length === 0) {
+      return [];
+    }
+    const indexes = [];
+    this.displayEntries.forEach((entry, index) => {
+      if (!entry.isGroupHeader && this.expandedRows[entry.id] === true && entry.record?.Id) {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }
+
+  /**
+   * @description Top of an entry in the virtualized body, counting open child panels above it
+   * @param {Number} index - Entry index
+   * @param {Array} expandedIndexes - Indexes of entries with an open child panel
+   * @return {Number} Offset in px
+   */
+  getVirtualOffset(index, expandedIndexes) {
+    const panelsAbove = expandedIndexes.filter((expandedIndex) => expandedIndex < index).length;
+    return index * HM_ConfigurableList.VIRTUAL_ROW_HEIGHT
+      + panelsAbove * HM_ConfigurableList.VIRTUAL_CHILD_PANEL_HEIGHT;
+  }
+
+  /**
+   * @description Entry at a scroll position in the virtualized body
+   * A position inside an open child panel maps to the panel's row
+   * @param {Number} scrollTop - Scroll position in px
+   * @param {Array} expandedIndexes - Indexes of entries with an open child panel
+   * @return {Number} Entry index
+   */
+  getVirtualIndexAt(scrollTop, expandedIndexes) {
+    let panelHeights = 0;
+    for (const expandedIndex of expandedIndexes) {
+      const panelTop = (expandedIndex + 1) * HM_ConfigurableList.VIRTUAL_ROW_HEIGHT + panelHeights;
+      if (scrollTop < panelTop) {
+        break;
+      }
+      if (scrollTop < panelTop + HM_ConfigurableList.VIRTUAL_CHILD_PANEL_HEIGHT) {
+        return expandedIndex;
+      }
+      panelHeights += HM_ConfigurableList.VIRTUAL_CHILD_PANEL_HEIGHT;
+    }
+    return Math.floor((scrollTop - panelHeights) / HM_ConfigurableList.VIRTUAL_ROW_HEIGHT);
+  }
+
+  /**
+   * @description Move the rendered window as the table body scrolls
+   * Only re-renders when the first rendered entry changes
+   * @param {Event} event - Scroll event from the table body
+   */
+  handleTableScroll(event) {
+    if (this.previewAnchor) {
+      this.hideLinkPreview();
+    }
+    if (!this.isVirtualized) {
+      return;
+    }
+    const body = event.target;
+    const startIndex = Math.max(
+      0,
+      this.getVirtualIndexAt(body.scrollTop, this.virtualExpandedIndexes)
+        - HM_ConfigurableList.VIRTUAL_OVERSCAN_ROWS
+    );
+    this.virtualViewportHeight = body.clientHeight || HM_ConfigurableList.VIRTUAL_VIEWPORT_HEIGHT;
+    if (startIndex !== this.virtualStartIndex) {
+      this.virtualStartIndex = startIndex;
+    }
+  }
+
+  /**
+   * @description Scroll a virtualized list back to its first row
+   */
+  resetVirtualScroll() {
+    this.virtualStartIndex = 0;
+    const body = this.template.querySelector(".cc-table-body");
+    if (body) {
+      body.scrollTop = 0;
+    }
+  }
+
+  /**
+   * @description Get pagination info text (simplified)
+   */
+  get paginationInfo() {
+    if (!this.enablePagination || this.filteredRows.length === 0) {
+      return "";
+    }
+    if (this.serverPaged) {
+      return `Page ${this.currentPage} of ${this.totalPages} (${this.totalRecords} records)`;
+    }
+    return `Page ${this.currentPage} of ${this.totalPages}`;
+  }
+
+  /**
+   * @description Get page numbers to display (modern, clean pagination)
+   * Shows: First page, current page ± 2, last page with ellipsis
+   * For small datasets, shows all pages
+   */
+  get pageNumbers() {
+    return this.calculatePageNumbers();
+  }
+
+  /**
+   * @description Calculate page numbers to display for pagination
+   * @return {Array} Array of page number objects with metadata
+   */
+  calculatePageNumbers() {
+    if (this.totalPages <= 1) {
+      return [];
+    }
+
+    // For small datasets (5 or fewer pages), show all
+    if (this.totalPages <= 5) {
+      return this.createSimplePageNumbers();
+    }
+
+    // For larger datasets, use smart pagination
+    return this.createSmartPageNumbers();
+  }
+
+  /**
+   * @description Create simple page numbers for small datasets (5 or fewer pages)
    * @return {Array} Array of page number objects
    */
   createSimplePageNumbers() {
@@ -1530,10 +4768,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
   handlePageChange(event) {
     const page = parseInt(event.currentTarget.dataset.page, 10);
     if (page && page >= 1 && page <= this.totalPages) {
-      this.currentPage = page;
-      // Scroll to top of table
-      this.scrollToTop();
-      // No need to re-apply sort - filteredRows is already sorted
+      this.goToPage(page);
     }
   }
 
@@ -1543,8 +4778,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
    */
   handlePreviousPage() {
     if (this.currentPage > 1) {
-      this.currentPage--;
-      this.scrollToTop();
+      this.goToPage(this.currentPage - 1);
     }
   }
 
@@ -1554,9 +4788,21 @@ export default class HM_ConfigurableList extends NavigationMixin(
    */
   handleNextPage() {
     if (this.currentPage < this.totalPages) {
-      this.currentPage++;
-      this.scrollToTop();
+      this.goToPage(this.currentPage + 1);
+    }
+  }
+
+  /**
+   * @description Show a page: slices filteredRows locally, or requests it in server mode
+   * No need to re-apply sort - filteredRows is already sorted
+   * @param {Number} page - Page number to show
+   */
+  goToPage(page) {
+    this.currentPage = page;
+    if (this.serverPaged) {
+      this.loadData();
     }
+    this.scrollToTop();
   }
 
   /**
@@ -1574,14 +4820,14 @@ export default class HM_ConfigurableList extends NavigationMixin(
    * @description Check if previous button should be disabled
    */
   get isPreviousDisabled() {
-    return this.currentPage <= 1;
+    return this.currentPage <= 1 || (this.serverPaged && this.isRefreshing);
   }
 
   /**
    * @description Check if next button should be disabled
    */
   get isNextDisabled() {
-    return this.currentPage >= this.totalPages;
+    return this.currentPage >= this.totalPages || (this.serverPaged && this.isRefreshing);
   }
 
   /**
@@ -1590,7 +4836,7 @@ export default class HM_ConfigurableList extends NavigationMixin(
    * @param {Event} event - Click event with columnKey in dataset
    */
   handleColumnSort(event) {
-    if (!this.enableColumnSorting) {
+    if (!this.enableColumnSorting || this._suppressSortClick) {
       return;
     }
 
@@ -1613,6 +4859,13 @@ export default class HM_ConfigurableList extends NavigationMixin(
     // Update column sort state and classes
     this.updateColumnSortState();
 
+    // Server-paged lists re-query from the first page in the new order
+    if (this.serverPaged) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
+    }
+
     // Apply filter (which will also apply sorting)
     this.applyFilter();
   }
@@ -1716,9 +4969,12 @@ export default class HM_ConfigurableList extends NavigationMixin(
     switch (formatType) {
       case HM_ConfigurableList.FORMAT_TYPES.CURRENCY:
       case HM_ConfigurableList.FORMAT_TYPES.NUMBER:
+      case RICH_FORMAT_TYPES.DURATION:
         comparison = (Number(aValue) || 0) - (Number(bValue) || 0);
         break;
-      case HM_ConfigurableList.FORMAT_TYPES.DATE: {
+      case HM_ConfigurableList.FORMAT_TYPES.DATE:
+      case RICH_FORMAT_TYPES.DATE_TIME:
+      case RICH_FORMAT_TYPES.RELATIVE_TIME: {
         const aDate = new Date(aValue);
         const bDate = new Date(bValue);
         comparison = aDate.getTime() - bDate.getTime();
@@ -1823,9 +5079,12 @@ export default class HM_ConfigurableList extends NavigationMixin(
    * @description Get container class
    */
   get containerClass() {
-    return this.isDarkMode 
+    const containerClass = this.isDarkMode 
       ? HM_ConfigurableList.CSS_CLASSES.CONTAINER_DARK 
       : HM_ConfigurableList.CSS_CLASSES.CONTAINER;
+    return this.isVirtualized
+      ? `${containerClass} ${HM_ConfigurableList.CSS_CLASSES.CONTAINER_VIRTUALIZED}`
+      : containerClass;
   }
 
   /**
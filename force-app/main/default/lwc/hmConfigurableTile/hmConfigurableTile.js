@@ -1,6 +1,10 @@
 import { LightningElement, api, wire } from "lwc";
+import { NavigationMixin } from "lightning/navigation";
 import getComponentConfiguration from "@salesforce/apex/HM_DashboardConfigService.getComponentConfiguration";
 import executeComponentQuery from "@salesforce/apex/HM_ComponentDataService.executeComponentQuery";
+import refreshComponentQuery from "@salesforce/apex/HM_ComponentDataService.refreshComponentQuery";
+import HmTileRecordsModal from "c/hmTileRecordsModal";
+import { buildDisplayValue, formatDisplayText, isRichFormatType } from "c/hmFormatUtils";
 
 /**
  * @description Configurable tile component for displaying KPI metrics
@@ -12,18 +16,73 @@ import executeComponentQuery from "@salesforce/apex/HM_ComponentDataService.exec
  * - Dynamic subtitle with merge field replacement ({value})
  * - Badge display for trend indicators (up/down/neutral)
  * - Multiple data sources for separate value, subtitle, and badge data
+ * - Optional sparkline from a grouped trend data source (hidden on xs containers)
+ * - Optional goal progress bar with percent-to-goal and remaining amount
+ * - Threshold formatting rules that color the value, icon background and badge
+ * - Click-through to a list view, report, record, URL, or a modal of the underlying records
+ * - Manual refresh (bypassing the client cache) with a "last refreshed" timestamp
  * - Dark mode support
  */
-export default class HM_ConfigurableTile extends LightningElement {
+export default class HM_ConfigurableTile extends NavigationMixin(
+  LightningElement
+) {
   // ==================== CONSTANTS ====================
   static MAP_TYPES = {
     TILE_VALUE: "Tile Value",
-    TILE_BADGE: "Tile Badge"
+    TILE_BADGE: "Tile Badge",
+    TILE_TREND: "Tile Trend",
+    TILE_GOAL: "Tile Goal"
   };
 
   static DEFAULT_ICON = "utility:info";
   static DEFAULT_VALUE = "0";
 
+  // Sparkline viewBox geometry; the SVG scales to the card width
+  static SPARKLINE = {
+    WIDTH: 240,
+    HEIGHT: 40,
+    PADDING: 4,
+    MARKER_RADIUS: 2.5,
+    HIT_RADIUS: 8,
+    MIN_POINTS: 2
+  };
+
+  static BLANK_LABEL = "(Blank)";
+
+  // Used when the Tile Goal detail map leaves threshold or colors blank
+  static GOAL_DEFAULTS = {
+    ON_TRACK_THRESHOLD: 75,
+    BEHIND_COLOR: "Alert",
+    ON_TRACK_COLOR: "Warning",
+    ACHIEVED_COLOR: "Success"
+  };
+
+  static GOAL_STATUS_LABELS = {
+    BEHIND: "Behind",
+    ON_TRACK: "On track",
+    ACHIEVED: "Goal achieved"
+  };
+
+  // Colors accepted by formatting rules (same vocabulary as Icon Background Color)
+  static RULE_COLORS = ["Alert", "Warning", "Success", "Brand"];
+
+  // HM_Click_Action__c picklist values
+  static CLICK_ACTIONS = {
+    LIST_VIEW: "List View",
+    REPORT: "Report",
+    RECORD: "Record",
+    URL: "URL",
+    RECORDS_MODAL: "Records Modal"
+  };
+
+  static NAVIGATION_TYPES = {
+    OBJECT_PAGE: "standard__objectPage",
+    RECORD_PAGE: "standard__recordPage",
+    WEB_PAGE: "standard__webPage"
+  };
+
+  static MERGE_FIELD_RECORD_ID = "{!recordId}";
+
   static BADGE_ICONS = {
     UP: "utility:arrowup",
     DOWN: "utility:arrowdown"
@@ -37,7 +96,12 @@ export default class HM_ConfigurableTile extends LightningElement {
     ICON_NO_BACKGROUND: "cc-kpi-icon cc-kpi-icon--no-background",
     BADGE_UP: "cc-kpi-badge cc-kpi-badge--up",
     BADGE_DOWN: "cc-kpi-badge cc-kpi-badge--down",
-    BADGE_ZERO: "cc-kpi-badge cc-kpi-badge--zero"
+    BADGE_ZERO: "cc-kpi-badge cc-kpi-badge--zero",
+    BADGE: "cc-kpi-badge",
+    VALUE: "cc-kpi-value",
+    GOAL_FILL: "cc-kpi-goal-fill",
+    REFRESH_BUTTON: "cc-refresh-button",
+    REFRESH_BUTTON_ACTIVE: "cc-refresh-button cc-refresh-button--active"
   };
 
   // ==================== PUBLIC PROPERTIES ====================
@@ -45,20 +109,71 @@ export default class HM_ConfigurableTile extends LightningElement {
   @api isDarkMode = false;
   @api containerSize = 'lg'; // Default to large for backward compatibility
 
+  /**
+   * @description Dashboard filter selections sent as query context ({!filterName})
+   * Re-queries when the selections change after configuration has loaded
+   */
+  @api
+  get filterContext() {
+    return this._filterContext;
+  }
+  set filterContext(value) {
+    const changed = JSON.stringify(value || {}) !== JSON.stringify(this._filterContext || {});
+    this._filterContext = value || {};
+    if (changed && this.componentConfig) {
+      this.loadTileData();
+    }
+  }
+
+  /**
+   * @description Host record Id, set automatically on record pages or passed down by the dashboard
+   * Re-queries when the page navigates to a different record
+   */
+  @api
+  get recordId() {
+    return this._recordId;
+  }
+  set recordId(value) {
+    const changed = value !== this._recordId;
+    this._recordId = value;
+    if (changed && this.componentConfig) {
+      this.loadTileData();
+    }
+  }
+
+  @api objectApiName;
+
+  _filterContext = {};
+  _recordId;
+
   // Component configuration
   componentConfig = null;
   isLoading = true;
+  isRefreshing = false;
   error = null;
+  lastRefreshed = null;
+  _loadSequence = 0;
+  // Time of the last cache-bypassing refresh; sent with every request so later cacheable
+  // calls (filter or record changes and the drill-down) cannot return responses cached before it
+  _refreshedAt = null;
 
   // Tile data
   tileData = {
     value: "",
+    valueClass: "cc-kpi-value",
+    display: null,
     subtitle: "",
     badge: null,
     iconName: "",
     iconClass: ""
   };
 
+  // Sparkline points from the Tile Trend data source: [{ label, value }]
+  trendPoints = [];
+
+  // Goal progress display data, or null when no Tile Goal is configured
+  goalData = null;
+
   connectedCallback() {
     if (!this.componentId) {
       this.error = {
@@ -83,24 +198,69 @@ export default class HM_ConfigurableTile extends LightningElement {
     }
   }
 
+  /**
+   * @description Build the context map sent to executeComponentQuery
+   * Combines dashboard filter selections with the host record context
+   * @return {Object} Context for merge field replacement ({!filterName}, {!recordId})
+   */
+  get queryContext() {
+    const context = { ...this._filterContext };
+    if (this._recordId) {
+      context.recordId = this._recordId;
+      context.objectApiName = this.objectApiName;
+    }
+    if (this._refreshedAt) {
+      context.refreshedAt = this._refreshedAt;
+    }
+    return context;
+  }
+
+  /**
+   * @description Refresh tile data, bypassing the client-side cache
+   * Called by the tile's refresh button and by the parent dashboard
+   * @return {Promise} Resolves when the data has been reloaded
+   */
+  @api
+  refresh() {
+    return this.loadTileData({ bypassCache: true });
+  }
+
   /**
    * @description Load tile data based on configuration
+   * The spinner only replaces the tile on first load; later loads keep the current value visible
+   * @param {Object} options - Load options
+   * @param {Boolean} options.bypassCache - Skip the cacheable Apex method (manual/scheduled refresh)
    */
-  async loadTileData() {
+  async loadTileData(options = {}) {
     if (!this.componentConfig) {
       return;
     }
 
-    this.isLoading = true;
+    // Ignore responses from earlier loads that finish after a newer one started
+    const loadSequence = ++this._loadSequence;
+    const isInitialLoad = !this.lastRefreshed;
+    this.isLoading = isInitialLoad;
+    this.isRefreshing = !isInitialLoad;
     this.error = null;
 
     try {
+      if (options.bypassCache) {
+        this._refreshedAt = Date.now();
+      }
       // Execute component query to get data
-      const response = await executeComponentQuery({
+      const queryMethod = options.bypassCache ? refreshComponentQuery : executeComponentQuery;
+      const response = await queryMethod({
         componentId: this.componentId,
-        context: {}
+        context: this.queryContext
       });
 
+      if (loadSequence !== this._loadSequence) {
+        return;
+      }
+
+      this.trendPoints = response?.trendPoints || [];
+      this.goalData = this.buildGoalData(response?.goal);
+
       if (response && response.success) {
         const subtitleValue = response.subtitleValue || null;
         const badgeValue = response.badgeValue || null;
@@ -118,13 +278,37 @@ export default class HM_ConfigurableTile extends LightningElement {
         // Set default/empty values
         this.tileData = this.getDefaultTileData();
       }
+      this.lastRefreshed = new Date();
     } catch (err) {
-      this.error = err;
+      if (loadSequence === this._loadSequence) {
+        this.error = err;
+      }
     } finally {
-      this.isLoading = false;
+      if (loadSequence === this._loadSequence) {
+        this.isLoading = false;
+        this.isRefreshing = false;
+      }
     }
   }
 
+  /**
+   * @description Handle refresh button click
+   * Stops propagation so the click does not activate the card
+   * @param {Event} event - Click event
+   */
+  handleRefreshClick(event) {
+    event.stopPropagation();
+    this.refresh();
+  }
+
+  /**
+   * @description Keep clicks on email, phone and URL values from activating the card
+   * @param {Event} event - Click event
+   */
+  handleValueLinkEvent(event) {
+    event.stopPropagation();
+  }
+
   /**
    * @description Get default tile data structure
    * @return {Object} Default tile data object
@@ -133,6 +317,8 @@ export default class HM_ConfigurableTile extends LightningElement {
     const iconName = this.componentConfig?.iconName || HM_ConfigurableTile.DEFAULT_ICON;
     return {
       value: HM_ConfigurableTile.DEFAULT_VALUE,
+      valueClass: HM_ConfigurableTile.CSS_CLASSES.VALUE,
+      display: null,
       subtitle: "",
       badge: null,
       iconName: iconName,
@@ -201,8 +387,10 @@ export default class HM_ConfigurableTile extends LightningElement {
       }
     }
     
+    // A matching Tile Value rule colors the value and replaces the icon background
+    const ruleColor = this.resolveRuleColor(valueMap?.formattingRules, aggregateValue);
     const iconName = this.componentConfig.iconName || HM_ConfigurableTile.DEFAULT_ICON;
-    const iconClass = this.getIconClass(iconName);
+    const iconClass = this.getIconClass(iconName, ruleColor);
 
     // Process subtitle with value replacement
     const subtitleTemplate = this.componentConfig.subtitle || "";
@@ -211,6 +399,8 @@ export default class HM_ConfigurableTile extends LightningElement {
     // Set tile data
     this.tileData = {
       value: formattedValue || HM_ConfigurableTile.DEFAULT_VALUE,
+      valueClass: this.getValueClass(ruleColor),
+      display: this.buildValueDisplay(aggregateValue, valueMap?.formatType),
       subtitle: processedSubtitle,
       badge: badgeData.badge,
       iconName: iconName,
@@ -259,6 +449,11 @@ export default class HM_ConfigurableTile extends LightningElement {
 
     // Extract values from detail maps using indexed lookup
     const value = this.extractTileValue(mapIndex, data);
+    const valueMap = mapIndex.get(HM_ConfigurableTile.MAP_TYPES.TILE_VALUE);
+    const rawValue = valueMap ? this.getFieldValue(data, valueMap.fieldApiName) : null;
+    const ruleColor = valueMap
+      ? this.resolveRuleColor(valueMap.formattingRules, rawValue)
+      : null;
     
     // Extract badge - use badgeValue if provided (different data source), otherwise extract from data
     const badgeMap = mapIndex.get(HM_ConfigurableTile.MAP_TYPES.TILE_BADGE);
@@ -274,9 +469,9 @@ export default class HM_ConfigurableTile extends LightningElement {
       }
     }
     
-    // Use component fields for subtitle and icon
+    // Use component fields for subtitle and icon; a matching value rule overrides the icon background
     const iconName = this.componentConfig.iconName || HM_ConfigurableTile.DEFAULT_ICON;
-    const iconClass = this.getIconClass(iconName);
+    const iconClass = this.getIconClass(iconName, ruleColor);
 
     // Process subtitle with value replacement
     const subtitleTemplate = this.componentConfig.subtitle || "";
@@ -285,6 +480,8 @@ export default class HM_ConfigurableTile extends LightningElement {
     // Set initial tile data
     this.tileData = {
       value: value || HM_ConfigurableTile.DEFAULT_VALUE,
+      valueClass: this.getValueClass(ruleColor),
+      display: this.buildValueDisplay(rawValue, valueMap?.formatType),
       subtitle: processedSubtitle,
       badge: badgeData.badge,
       iconName: iconName,
@@ -292,6 +489,18 @@ export default class HM_ConfigurableTile extends LightningElement {
     };
   }
 
+  /**
+   * @description Rendering for the tile value when its format type is a checkmark, link, pill,
+   * thumbnail or rich text; plain-text format types keep the formatted value
+   * @param {*} rawValue - Unformatted tile value
+   * @param {String} formatType - Tile Value detail map format type
+   * @return {Object} hmFormatUtils display descriptor, or null
+   */
+  buildValueDisplay(rawValue, formatType) {
+    const display = buildDisplayValue(rawValue, formatType);
+    return display && !display.isText ? display : null;
+  }
+
   /**
    * @description Extract tile value from detail maps using indexed lookup
    * @param {Map} mapIndex - Indexed map of detail maps by map type
@@ -374,18 +583,29 @@ export default class HM_ConfigurableTile extends LightningElement {
     }
 
     // Build badge object based on direction
+    // Lower-is-better keeps the arrow but swaps the good/bad colors
     let badgeClass = HM_ConfigurableTile.CSS_CLASSES.BADGE_ZERO;
     let badgeIcon = null;
 
     if (direction.direction === 'up') {
-      badgeClass = HM_ConfigurableTile.CSS_CLASSES.BADGE_UP;
+      badgeClass = map.lowerIsBetter
+        ? HM_ConfigurableTile.CSS_CLASSES.BADGE_DOWN
+        : HM_ConfigurableTile.CSS_CLASSES.BADGE_UP;
       badgeIcon = HM_ConfigurableTile.BADGE_ICONS.UP;
     } else if (direction.direction === 'down') {
-      badgeClass = HM_ConfigurableTile.CSS_CLASSES.BADGE_DOWN;
+      badgeClass = map.lowerIsBetter
+        ? HM_ConfigurableTile.CSS_CLASSES.BADGE_UP
+        : HM_ConfigurableTile.CSS_CLASSES.BADGE_DOWN;
       badgeIcon = HM_ConfigurableTile.BADGE_ICONS.DOWN;
     }
     // else: zero - use default grey styling, no icon
 
+    // A matching Tile Badge rule takes precedence over direction-based colors
+    const ruleColor = this.resolveRuleColor(map.formattingRules, rawValue);
+    if (ruleColor) {
+      badgeClass = `${HM_ConfigurableTile.CSS_CLASSES.BADGE} ${HM_ConfigurableTile.CSS_CLASSES.BADGE}--${ruleColor.toLowerCase()}`;
+    }
+
     return {
       badge: {
         text: formattedText,
@@ -458,16 +678,92 @@ export default class HM_ConfigurableTile extends LightningElement {
     return { direction: 'zero', numericValue: 0 };
   }
 
+  /**
+   * @description Return the color of the first formatting rule that matches a value
+   * Rules come from the detail map (operator, value or min/max, color); the first match wins
+   * @param {Array} rules - Parsed formatting rules from the detail map
+   * @param {*} rawValue - Unformatted value to test
+   * @return {String} Rule color (Alert, Warning, Success, Brand), or null if none match
+   */
+  resolveRuleColor(rules, rawValue) {
+    if (!rules || rules.length === 0) {
+      return null;
+    }
+
+    const num = this.parseNumericValue(rawValue);
+    if (num === null) {
+      return null;
+    }
+
+    for (const rule of rules) {
+      if (this.matchesRule(rule, num) && HM_ConfigurableTile.RULE_COLORS.includes(rule.color)) {
+        return rule.color;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @description Test a numeric value against a single formatting rule
+   * "between" is inclusive on both ends so adjacent bands can share a boundary
+   * @param {Object} rule - Formatting rule with operator and value or min/max
+   * @param {Number} num - Value to test
+   * @return {Boolean} True when the rule matches
+   */
+  matchesRule(rule, num) {
+    if (rule.operator === 'between') {
+      const min = this.parseNumericValue(rule.min);
+      const max = this.parseNumericValue(rule.max);
+      if (min === null && max === null) {
+        return false;
+      }
+      return (min === null || num >= min) && (max === null || num <= max);
+    }
+
+    const threshold = this.parseNumericValue(rule.value);
+    if (threshold === null) {
+      return false;
+    }
+
+    switch (rule.operator) {
+      case '>':
+        return num > threshold;
+      case '>=':
+        return num >= threshold;
+      case '<':
+        return num < threshold;
+      case '<=':
+        return num <= threshold;
+      case '=':
+        return num === threshold;
+      case '!=':
+        return num !== threshold;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @description Get KPI value class, colored when a Tile Value rule matched
+   * @param {String} ruleColor - Matched rule color, or null
+   * @return {String} CSS class for the value element
+   */
+  getValueClass(ruleColor) {
+    const base = HM_ConfigurableTile.CSS_CLASSES.VALUE;
+    return ruleColor ? `${base} ${base}--${ruleColor.toLowerCase()}` : base;
+  }
+
   /**
    * @description Get icon class based on icon background color configuration
    * Uses component's iconBackgroundColor picklist value to determine styling
    * @param {String} _iconName - Unused parameter retained for API stability. Icon class is
    *                             determined solely by iconBackgroundColor, not the icon name.
    *                             Callers pass iconName by convention but it's not processed.
+   * @param {String} ruleColor - Optional formatting rule color that replaces iconBackgroundColor
    * @return {String} CSS class for icon container styling
    */
-  getIconClass(_iconName) {  // eslint-disable-line no-unused-vars
-    const bgColor = this.componentConfig?.iconBackgroundColor;
+  getIconClass(_iconName, ruleColor) {
+    const bgColor = ruleColor || this.componentConfig?.iconBackgroundColor;
     
     // If no background color or "None", return no-background class
     if (!bgColor || bgColor === 'None') {
@@ -517,12 +813,17 @@ export default class HM_ConfigurableTile extends LightningElement {
    * @description Format value based on format type
    * Delegates to shared formatting utilities
    * @param {*} value - Value to format
-   * @param {String} formatType - Format type (Currency, Number, Percent, Date)
+   * @param {String} formatType - Format type (Currency, Number, Percent, Date, or an hmFormatUtils type)
    * @return {String} Formatted value string
    */
   formatValue(value, formatType) {
     // Normalize formatType to handle case variations and null/undefined
     const normalizedFormatType = formatType ? String(formatType).trim() : null;
+
+    // Richer format types (Date Time, Boolean, Duration, ...) share the list's display text
+    if (isRichFormatType(normalizedFormatType)) {
+      return formatDisplayText(value, normalizedFormatType);
+    }
     
     if (value === null || value === undefined) {
       // Return formatted zero based on format type
@@ -771,6 +1072,130 @@ export default class HM_ConfigurableTile extends LightningElement {
     return this.isDarkMode ? "hm-tile-container cc-dark" : "hm-tile-container";
   }
 
+  /**
+   * @description Build goal progress display data from backend current and target values
+   * Status is Achieved at 100%+, On track at or above the configured threshold, otherwise Behind
+   * @param {Object} goal - Goal values from backend ({ currentValue, targetValue })
+   * @return {Object} Goal display data, or null if no goal or the target is not positive
+   */
+  buildGoalData(goal) {
+    if (!goal || goal.targetValue === null || goal.targetValue === undefined) {
+      return null;
+    }
+
+    const target = this.parseNumber(goal.targetValue);
+    if (target <= 0) {
+      return null;
+    }
+
+    const mapIndex = this.buildDetailMapIndex(this.componentConfig?.detailMaps);
+    const goalMap = mapIndex.get(HM_ConfigurableTile.MAP_TYPES.TILE_GOAL) || {};
+    const valueMap = mapIndex.get(HM_ConfigurableTile.MAP_TYPES.TILE_VALUE);
+    const formatType = goalMap.formatType || valueMap?.formatType;
+    const defaults = HM_ConfigurableTile.GOAL_DEFAULTS;
+    const threshold = goalMap.goalOnTrackThreshold ?? defaults.ON_TRACK_THRESHOLD;
+
+    const current = this.parseNumber(goal.currentValue);
+    const percent = (current / target) * 100;
+    const progress = Math.max(0, Math.min(Math.round(percent), 100));
+
+    let statusLabel;
+    let color;
+    if (percent >= 100) {
+      statusLabel = HM_ConfigurableTile.GOAL_STATUS_LABELS.ACHIEVED;
+      color = goalMap.goalAchievedColor || defaults.ACHIEVED_COLOR;
+    } else if (percent >= threshold) {
+      statusLabel = HM_ConfigurableTile.GOAL_STATUS_LABELS.ON_TRACK;
+      color = goalMap.goalOnTrackColor || defaults.ON_TRACK_COLOR;
+    } else {
+      statusLabel = HM_ConfigurableTile.GOAL_STATUS_LABELS.BEHIND;
+      color = goalMap.goalBehindColor || defaults.BEHIND_COLOR;
+    }
+
+    const percentLabel = `${Math.round(percent)}%`;
+    const targetLabel = this.formatValue(target, formatType);
+    const remainingLabel = percent >= 100
+      ? statusLabel
+      : `${this.formatValue(target - current, formatType)} to go`;
+
+    return {
+      progress,
+      percentLabel,
+      targetLabel,
+      remainingLabel,
+      fillClass: `${HM_ConfigurableTile.CSS_CLASSES.GOAL_FILL} ${HM_ConfigurableTile.CSS_CLASSES.GOAL_FILL}--${color.toLowerCase()}`,
+      fillStyle: `width: ${progress}%;`,
+      ariaLabel: `${percentLabel} of ${targetLabel} goal, ${statusLabel.toLowerCase()}`
+    };
+  }
+
+  /**
+   * @description Check if the trend sparkline should render
+   * Needs at least two points and is dropped on xs containers where there is no room
+   * @return {Boolean} True if sparkline should be shown
+   */
+  get showSparkline() {
+    return this.containerSize !== 'xs'
+      && this.trendPoints.length >= HM_ConfigurableTile.SPARKLINE.MIN_POINTS;
+  }
+
+  get sparklineViewBox() {
+    return `0 0 ${HM_ConfigurableTile.SPARKLINE.WIDTH} ${HM_ConfigurableTile.SPARKLINE.HEIGHT}`;
+  }
+
+  /**
+   * @description Build sparkline geometry from trend points
+   * Scales values to the full sparkline height so small changes remain visible
+   * @return {Object} Line points, area path, and per-point markers with tooltips
+   */
+  get sparkline() {
+    const { WIDTH, HEIGHT, PADDING, MARKER_RADIUS, HIT_RADIUS } = HM_ConfigurableTile.SPARKLINE;
+    const trendMap = this.buildDetailMapIndex(this.componentConfig?.detailMaps)
+      .get(HM_ConfigurableTile.MAP_TYPES.TILE_TREND);
+    const formatType = trendMap?.formatType;
+    const values = this.trendPoints.map((point) => this.parseNumber(point.value));
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min;
+    const step = (WIDTH - PADDING * 2) / (values.length - 1);
+    const plotHeight = HEIGHT - PADDING * 2;
+
+    const markers = values.map((value, index) => {
+      // A flat trend is drawn through the middle
+      const ratio = range === 0 ? 0.5 : (value - min) / range;
+      const point = this.trendPoints[index];
+      const label = point.label === null || point.label === undefined
+        ? HM_ConfigurableTile.BLANK_LABEL
+        : String(point.label);
+      return {
+        key: `trend-${index}`,
+        cx: Math.round((PADDING + step * index) * 100) / 100,
+        cy: Math.round((PADDING + plotHeight * (1 - ratio)) * 100) / 100,
+        r: MARKER_RADIUS,
+        hitRadius: HIT_RADIUS,
+        tooltip: `${label}: ${this.formatValue(point.value, formatType)}`,
+        markerClass: index === values.length - 1
+          ? "cc-kpi-sparkline-marker cc-kpi-sparkline-marker--last"
+          : "cc-kpi-sparkline-marker"
+      };
+    });
+
+    const linePoints = markers.map((marker) => `${marker.cx},${marker.cy}`).join(" ");
+    const first = markers[0];
+    const last = markers[markers.length - 1];
+    const areaPath = `M ${first.cx} ${HEIGHT} L ${linePoints.replace(/ /g, " L ")} L ${last.cx} ${HEIGHT} Z`;
+
+    return { linePoints, areaPath, markers };
+  }
+
+  /**
+   * @description Get accessible summary of the trend for screen readers
+   * @return {String} Trend description listing each point
+   */
+  get sparklineAriaLabel() {
+    return `Trend: ${this.sparkline.markers.map((marker) => marker.tooltip).join(", ")}`;
+  }
+
   /**
    * @description Get tile CSS class
    */
@@ -779,20 +1204,138 @@ export default class HM_ConfigurableTile extends LightningElement {
   }
 
   /**
-   * @description Handle keyboard interaction for card accessibility
-   * Allows Enter and Space keys to activate the card like a click
-   * @param {KeyboardEvent} event - Keyboard event
+   * @description Whether the tile has a click action, which renders the title as a button
+   * The card itself is not a button so its refresh button and value links are not nested controls
+   * @return {Boolean} True when HM_Click_Action__c is set
    */
-  handleCardKeydown(event) {
-    if (event.key === "Enter" || event.key === " ") {
-      event.preventDefault();
-      // Dispatch custom event for parent components to handle navigation
-      this.dispatchEvent(new CustomEvent("cardactivate", {
-        detail: { componentId: this.componentId }
-      }));
+  get hasClickAction() {
+    return Boolean(this.componentConfig?.clickAction);
+  }
+
+  /**
+   * @description Handle a click anywhere on the card, including the title button
+   * Enter and Space on the title button arrive here as its click event
+   */
+  handleCardClick() {
+    this.activateCard();
+  }
+
+  /**
+   * @description Run the configured click action
+   * Dispatches cardactivate first so parent components can still react to activation
+   */
+  activateCard() {
+    const clickAction = this.componentConfig?.clickAction || null;
+    this.dispatchEvent(new CustomEvent("cardactivate", {
+      detail: { componentId: this.componentId, clickAction: clickAction }
+    }));
+
+    if (!clickAction || this.isLoading || this.error) {
+      return;
+    }
+
+    if (clickAction === HM_ConfigurableTile.CLICK_ACTIONS.RECORDS_MODAL) {
+      this.openRecordsModal();
+      return;
+    }
+
+    const pageReference = this.buildClickPageReference(clickAction, this.componentConfig.clickTarget);
+    if (pageReference) {
+      this[NavigationMixin.Navigate](pageReference);
+    }
+  }
+
+  /**
+   * @description Build the navigation target for a click action
+   * @param {String} clickAction - HM_Click_Action__c value
+   * @param {String} clickTarget - List view API name, report Id, record Id or URL
+   * @return {Object} PageReference, or null when the target is missing
+   */
+  buildClickPageReference(clickAction, clickTarget) {
+    if (!clickTarget) {
+      return null;
+    }
+
+    switch (clickAction) {
+      case HM_ConfigurableTile.CLICK_ACTIONS.LIST_VIEW: {
+        const objectApiName = this.getTileValueObjectApiName();
+        if (!objectApiName) {
+          return null;
+        }
+        return {
+          type: HM_ConfigurableTile.NAVIGATION_TYPES.OBJECT_PAGE,
+          attributes: { objectApiName: objectApiName, actionName: "list" },
+          state: { filterName: clickTarget }
+        };
+      }
+      case HM_ConfigurableTile.CLICK_ACTIONS.REPORT:
+        return {
+          type: HM_ConfigurableTile.NAVIGATION_TYPES.RECORD_PAGE,
+          attributes: { recordId: clickTarget, objectApiName: "Report", actionName: "view" }
+        };
+      case HM_ConfigurableTile.CLICK_ACTIONS.RECORD: {
+        const recordId = clickTarget === HM_ConfigurableTile.MERGE_FIELD_RECORD_ID
+          ? this._recordId
+          : clickTarget;
+        if (!recordId) {
+          return null;
+        }
+        return {
+          type: HM_ConfigurableTile.NAVIGATION_TYPES.RECORD_PAGE,
+          attributes: { recordId: recordId, actionName: "view" }
+        };
+      }
+      case HM_ConfigurableTile.CLICK_ACTIONS.URL:
+        return {
+          type: HM_ConfigurableTile.NAVIGATION_TYPES.WEB_PAGE,
+          attributes: { url: clickTarget }
+        };
+      default:
+        return null;
     }
   }
 
+  /**
+   * @description Object queried by the Tile Value data source (first data source as fallback)
+   * @return {String} Object API name, or null if it cannot be determined
+   */
+  getTileValueObjectApiName() {
+    const dataSources = this.componentConfig?.dataSources || [];
+    const valueMap = this.buildDetailMapIndex(this.componentConfig?.detailMaps)
+      .get(HM_ConfigurableTile.MAP_TYPES.TILE_VALUE);
+    const dataSource = dataSources.find((ds) => ds.id === valueMap?.dataSourceId) || dataSources[0];
+    return dataSource?.objectApiName || null;
+  }
+
+  /**
+   * @description Open the modal listing the records behind the tile value
+   * Passes the current query context so the records match the displayed aggregate
+   */
+  openRecordsModal() {
+    HmTileRecordsModal.open({
+      size: "medium",
+      label: this.title,
+      componentId: this.componentId,
+      context: this.queryContext
+    });
+  }
+
+  /**
+   * @description Get refresh button variant with dark mode support
+   */
+  get refreshButtonVariant() {
+    return this.isDarkMode ? "bare-inverse" : "bare";
+  }
+
+  /**
+   * @description Get refresh button CSS class (spins while a refresh is in flight)
+   */
+  get refreshButtonClass() {
+    return this.isRefreshing
+      ? HM_ConfigurableTile.CSS_CLASSES.REFRESH_BUTTON_ACTIVE
+      : HM_ConfigurableTile.CSS_CLASSES.REFRESH_BUTTON;
+  }
+
   /**
    * @description Get title class with truncation
    * Applies truncation on all container sizes to prevent wrapping and maintain consistent card heights
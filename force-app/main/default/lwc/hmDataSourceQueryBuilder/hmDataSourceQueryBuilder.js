@@ -8,6 +8,7 @@ import getAccessibleObjects from "@salesforce/apex/HM_DataSourceBuilderService.g
 import getObjectFields from "@salesforce/apex/HM_DataSourceBuilderService.getObjectFields";
 import getRelatedObjectFields from "@salesforce/apex/HM_DataSourceBuilderService.getRelatedObjectFields";
 import executePreviewQuery from "@salesforce/apex/HM_DataSourceBuilderService.executePreviewQuery";
+import { DATE_TIME_OPTIONS, RICH_FORMAT_TYPES, buildDisplayValue, getFormatTypeForFieldType } from "c/hmFormatUtils";
 
 /**
  * @description Data Source Query Builder - Single-page layout for creating/editing Data Sources
@@ -16,6 +17,7 @@ import executePreviewQuery from "@salesforce/apex/HM_DataSourceBuilderService.ex
  * Key capabilities:
  * - Object and field selection with search/filter
  * - List mode (SELECT fields) and Aggregate mode (COUNT, SUM, AVG, etc.)
+ * - Multi-Object mode: one query per object, mapped onto shared title/date/owner/status columns
  * - WHERE clause builder with field-type-aware operators
  * - Quick filters for owner (My Records, Queue Records)
  * - Real-time SOQL preview with syntax highlighting
@@ -131,6 +133,40 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     { label: "MAX", value: "MAX", requiresField: true, fieldTypes: null }
   ];
 
+  // Merge field resolved to the host record page's Id at runtime
+  static MERGE_FIELD_RECORD_ID = "{!recordId}";
+
+  // Return type for data sources that unify several object queries (List components only)
+  static MULTI_OBJECT_QUERY_TYPE = "Multi-Object";
+
+  // Custom cell types of c-hm-preview-datatable, and the row key suffix for pill color classes
+  static PREVIEW_CELL_TYPES = {
+    PILL: "pill",
+    RICH_TEXT: "richText"
+  };
+  static PILL_CLASS_FIELD_SUFFIX = "__pillClass";
+
+  // Unified columns a Multi-Object query maps its fields onto, in display order
+  static MULTI_OBJECT_MAPPINGS = [
+    { key: "titleField", column: "RecordTitle", label: "Title", required: true,
+      fieldTypes: ["STRING", "PICKLIST", "EMAIL", "PHONE", "URL", "TEXTAREA"],
+      suggestions: ["Subject", "Name", "CaseNumber", "Title"] },
+    { key: "dateField", column: "RecordDate", label: "Date", required: true,
+      fieldTypes: ["DATE", "DATETIME"],
+      suggestions: ["ActivityDateTime", "ActivityDate", "StartDateTime", "CloseDate", "CreatedDate"] },
+    { key: "ownerField", column: "RecordOwner", label: "Owner", required: false,
+      fieldTypes: ["REFERENCE"],
+      suggestions: ["Owner.Name"] },
+    { key: "statusField", column: "RecordStatus", label: "Status", required: false,
+      fieldTypes: ["PICKLIST", "STRING", "BOOLEAN"],
+      suggestions: ["Status", "StageName", "ShowAs"] }
+  ];
+
+  static MULTI_OBJECT_SORT_OPTIONS = [
+    { label: "Newest first", value: "DESC" },
+    { label: "Oldest first", value: "ASC" }
+  ];
+
   // ==================== PUBLIC PROPERTIES ====================
   @api recordId; // Record ID for editing existing records (null for new records)
 
@@ -152,8 +188,8 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     selectedObjectLabel: null
   };
 
-  // Query type state (List or Aggregate)
-  queryType = "List"; // 'List' | 'Aggregate'
+  // Query type state (List, Aggregate or Multi-Object)
+  queryType = "List"; // 'List' | 'Aggregate' | 'Multi-Object'
 
   // Aggregate mode state
   aggregateFunction = null; // 'COUNT' | 'COUNT_DISTINCT' | 'SUM' | 'AVG' | 'MIN' | 'MAX'
@@ -184,6 +220,12 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
   // Structure: { fieldApiName: { expanded: boolean, loading: boolean, children: [] } }
   @track expandedFields = {};
 
+  // Multi-Object state - one entry per object query, in statement order
+  // Structure: { id, objectApiName, titleField, dateField, ownerField, statusField, whereClause }
+  @track multiObjectQueries = [];
+  multiObjectQueryIdCounter = 0;
+  multiObjectSortDirection = "DESC";
+
   // ==================== FILTERS STATE ====================
   @track whereConditions = [];
   conditionIdCounter = 0;
@@ -210,7 +252,7 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
   
   // Accordion section state - tracked to preserve user's manual open/close actions
   // All sections open by default (sections not yet rendered are ignored by the accordion)
-  @track openSections = ["settings", "query", "fields", "aggregate", "filters", "preview"];
+  @track openSections = ["settings", "query", "fields", "aggregate", "objects", "filters", "preview"];
   error = null;
 
   // Timeout IDs for cleanup on disconnect (Set for O(1) add/delete)
@@ -682,17 +724,30 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     const newType = event.target.dataset.value;
     if (newType === this.queryType) return;
 
+    const multiObjectType = HM_DataSourceQueryBuilder.MULTI_OBJECT_QUERY_TYPE;
+    const columnsChange = newType === multiObjectType || this.queryType === multiObjectType;
     this.queryType = newType;
 
     // Reset mode-specific state when switching
-    if (newType === "List") {
+    if (newType !== "Aggregate") {
       this.aggregateFunction = null;
       this.aggregateFieldApiName = null;
       this.aggregateFieldSearchTerm = "";
-    } else {
+    }
+    if (newType !== "List") {
       this.selectedFieldApiNames = [];
     }
 
+    // Start Multi-Object mode from the object already selected, if any
+    if (this.isMultiObjectMode && this.multiObjectQueries.length === 0) {
+      this.addMultiObjectQuery(this.page2Data.selectedObjectApiName);
+    }
+
+    // Multi-Object previews have their own columns
+    if (columnsChange) {
+      this.clearPreviewResults();
+    }
+
     // Swap accordion sections: remove old mode section, add new mode section
     this.swapModeSection(newType);
 
@@ -701,17 +756,19 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
 
   /**
    * @description Swap accordion section when query type changes
-   * Removes the old mode section (fields/aggregate) and adds the new one
-   * @param {String} newType - The new query type ('List' or 'Aggregate')
+   * Removes the old mode section (fields/aggregate/objects) and adds the new one
+   * @param {String} newType - The new query type ('List', 'Aggregate' or 'Multi-Object')
    */
   swapModeSection(newType) {
-    // Remove both mode-specific sections, then add the appropriate one
-    const newSections = this.openSections.filter(s => s !== "fields" && s !== "aggregate");
+    // Remove all mode-specific sections, then add the appropriate one
+    const newSections = this.openSections.filter(s => s !== "fields" && s !== "aggregate" && s !== "objects");
     
     if (newType === "List") {
       newSections.push("fields");
-    } else {
+    } else if (newType === "Aggregate") {
       newSections.push("aggregate");
+    } else {
+      newSections.push("objects");
     }
     
     this.openSections = newSections;
@@ -987,6 +1044,188 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     this.updateSoqlPreview();
   }
 
+  // ==================== MULTI-OBJECT HANDLERS ====================
+
+  /**
+   * @description Add a Multi-Object query entry
+   * @param {String} objectApiName - Object to start the entry with (optional)
+   */
+  addMultiObjectQuery(objectApiName = null) {
+    const id = `mo_${++this.multiObjectQueryIdCounter}`;
+    this.multiObjectQueries = [
+      ...this.multiObjectQueries,
+      { id, objectApiName: null, titleField: null, dateField: null, ownerField: null, statusField: null, whereClause: "" }
+    ];
+    if (objectApiName) {
+      this.selectMultiObjectQueryObject(id, objectApiName);
+    }
+  }
+
+  /**
+   * @description Handle Add Object button click
+   */
+  handleAddMultiObjectQuery() {
+    this.addMultiObjectQuery();
+  }
+
+  /**
+   * @description Handle remove button click on a Multi-Object query entry
+   * @param {Event} event - Click event with data-id
+   */
+  handleRemoveMultiObjectQuery(event) {
+    const id = event.currentTarget.dataset.id;
+    this.multiObjectQueries = this.multiObjectQueries.filter((query) => query.id !== id);
+    this.updateSoqlPreview();
+  }
+
+  /**
+   * @description Handle object change on a Multi-Object query entry
+   * @param {Event} event - Combobox change event with data-id
+   */
+  handleMultiObjectObjectChange(event) {
+    this.selectMultiObjectQueryObject(event.target.dataset.id, event.detail.value);
+  }
+
+  /**
+   * @description Set the object of a Multi-Object query entry and suggest its column mapping
+   * @param {String} id - Entry ID
+   * @param {String} objectApiName - Selected object API name
+   */
+  async selectMultiObjectQueryObject(id, objectApiName) {
+    this.updateMultiObjectQuery(id, {
+      objectApiName,
+      titleField: null,
+      dateField: null,
+      ownerField: null,
+      statusField: null,
+      whereClause: ""
+    });
+
+    const fields = await this.loadMultiObjectFields(objectApiName);
+    const query = this.multiObjectQueries.find((entry) => entry.id === id);
+    // Skip if the entry was removed or changed object while fields were loading
+    if (fields && query?.objectApiName === objectApiName) {
+      this.updateMultiObjectQuery(id, this.suggestMultiObjectMapping(fields));
+    }
+  }
+
+  /**
+   * @description Handle a title/date/owner/status field change on a Multi-Object query entry
+   * @param {Event} event - Combobox change event with data-id and data-mapping
+   */
+  handleMultiObjectMappingChange(event) {
+    const { id, mapping } = event.target.dataset;
+    this.updateMultiObjectQuery(id, { [mapping]: event.detail.value || null });
+  }
+
+  /**
+   * @description Handle the filter (WHERE) input change on a Multi-Object query entry
+   * @param {Event} event - Input change event with data-id
+   */
+  handleMultiObjectWhereChange(event) {
+    this.updateMultiObjectQuery(event.target.dataset.id, { whereClause: event.target.value || "" });
+  }
+
+  /**
+   * @description Handle sort direction change for the unified rows
+   * @param {Event} event - Combobox change event
+   */
+  handleMultiObjectSortChange(event) {
+    this.multiObjectSortDirection = event.detail.value;
+    this.updateSoqlPreview();
+  }
+
+  /**
+   * @description Apply changes to one Multi-Object query entry and refresh the SOQL preview
+   * @param {String} id - Entry ID
+   * @param {Object} changes - Properties to update
+   */
+  updateMultiObjectQuery(id, changes) {
+    this.multiObjectQueries = this.multiObjectQueries.map((query) => (
+      query.id === id ? { ...query, ...changes } : query
+    ));
+    this.updateSoqlPreview();
+  }
+
+  /**
+   * @description Load fields for a Multi-Object entry without changing the List mode field state
+   * @param {String} objectApiName - Object API name
+   * @returns {Promise<Array>} FieldInfo list, or null if loading failed
+   */
+  async loadMultiObjectFields(objectApiName) {
+    if (!objectApiName) {
+      return null;
+    }
+    if (this.fieldCache[objectApiName]) {
+      return this.fieldCache[objectApiName];
+    }
+
+    try {
+      const fields = await getObjectFields({ objectApiName });
+      // Reassign so the entry comboboxes re-render with the new options
+      this.fieldCache = { ...this.fieldCache, [objectApiName]: fields };
+      return fields;
+    } catch (error) {
+      const errorMessage = error.body?.message || error.message || "Error loading fields";
+      this.showError("Error", errorMessage);
+      return null;
+    }
+  }
+
+  /**
+   * @description Pick the first common field for each unified column (e.g., Subject, ActivityDate, Owner.Name)
+   * @param {Array} fields - FieldInfo list for the object
+   * @returns {Object} Mapping keys to suggested field paths (null when nothing matches)
+   */
+  suggestMultiObjectMapping(fields) {
+    const mapping = {};
+    HM_DataSourceQueryBuilder.MULTI_OBJECT_MAPPINGS.forEach((definition) => {
+      const values = new Set(this.getMultiObjectFieldOptions(fields, definition).map((option) => option.value));
+      mapping[definition.key] = definition.suggestions.find((fieldPath) => values.has(fieldPath)) || null;
+    });
+    return mapping;
+  }
+
+  /**
+   * @description Build field options for one unified column
+   * Lookups are offered as their related record's Name (e.g., Owner.Name), so lookups to
+   * objects without a Name field (e.g., Case.Parent) are left out
+   * @param {Array} fields - FieldInfo list for the object
+   * @param {Object} definition - Entry from MULTI_OBJECT_MAPPINGS
+   * @returns {Array} Combobox options
+   */
+  getMultiObjectFieldOptions(fields, definition) {
+    return (fields || [])
+      .filter((field) => definition.fieldTypes.includes(field.type))
+      .filter((field) => field.type !== "REFERENCE" || (field.relationshipName && field.hasRelatedName))
+      .map((field) => {
+        const value = field.type === "REFERENCE" ? `${field.relationshipName}.Name` : field.apiName;
+        return { label: `${field.label} (${value})`, value };
+      })
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  /**
+   * @description Field paths a Multi-Object entry selects, in column order
+   * @param {Object} query - Multi-Object query entry
+   * @returns {Array} Unique mapped field paths
+   */
+  getMultiObjectFieldPaths(query) {
+    const fieldPaths = HM_DataSourceQueryBuilder.MULTI_OBJECT_MAPPINGS
+      .map((mapping) => query[mapping.key])
+      .filter(Boolean);
+    return [...new Set(fieldPaths)];
+  }
+
+  /**
+   * @description Get the label of an accessible object
+   * @param {String} objectApiName - Object API name
+   * @returns {String} Object label, or the API name if the object is not loaded
+   */
+  getObjectLabel(objectApiName) {
+    return this.allObjects.find((obj) => obj.apiName === objectApiName)?.label || objectApiName;
+  }
+
   // ==================== PREVIEW QUERY HANDLERS ====================
 
   /**
@@ -1003,6 +1242,11 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
    * @description Execute the preview query and display results
    */
   async executeQueryPreview() {
+    if (this.isMultiObjectMode) {
+      await this.executeMultiObjectPreview();
+      return;
+    }
+
     // Validate based on query type
     if (!this.page2Data.selectedObjectApiName) {
       this.queryError = "Object is required";
@@ -1045,14 +1289,10 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
         });
 
         // Transform columns for lightning-datatable
-        this.queryColumns = result.columns.map((col) => ({
-          label: col.label,
-          fieldName: col.apiName,
-          type: this.mapFieldTypeToDataTableType(col.type)
-        }));
+        this.queryColumns = result.columns.map((col) => this.buildPreviewColumn(col));
 
         // Set results
-        this.queryResults = result.rows;
+        this.queryResults = this.formatPreviewRows(result.rows, result.columns);
         this.queryTotalCount = result.totalCount;
       } else {
         // Aggregate query - show simplified preview
@@ -1097,6 +1337,97 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     this.queryTotalCount = 1;
   }
 
+  /**
+   * @description Execute a Multi-Object preview - runs each object query and unifies the rows
+   * Rows are de-duplicated by Id and sorted by date the same way the list does at runtime;
+   * each object contributes its first 5 rows in that date order
+   */
+  async executeMultiObjectPreview() {
+    const queries = this.completeMultiObjectQueries;
+    if (queries.length === 0) {
+      this.queryError = "Each object needs a title and a date field";
+      return;
+    }
+
+    this.isQueryLoading = true;
+    this.queryError = null;
+    this.queryResults = [];
+    this.queryColumns = [];
+    this.queryTotalCount = 0;
+
+    try {
+      const results = await Promise.all(
+        queries.map((query) =>
+          executePreviewQuery({
+            objectApiName: query.objectApiName,
+            fieldApiNames: this.getMultiObjectFieldPaths(query),
+            whereClause: query.whereClause?.trim() || null,
+            queryLimit: this.queryLimit,
+            orderByField: query.dateField,
+            sortDirection: this.multiObjectSortDirection
+          })
+        )
+      );
+
+      const seenIds = new Set();
+      const rows = [];
+      results.forEach((result, index) => {
+        const query = queries[index];
+        const objectLabel = this.getObjectLabel(query.objectApiName);
+        result.rows.forEach((record) => {
+          if (seenIds.has(record.Id)) {
+            return;
+          }
+          seenIds.add(record.Id);
+          const row = { Id: record.Id, RecordObject: objectLabel };
+          HM_DataSourceQueryBuilder.MULTI_OBJECT_MAPPINGS.forEach((mapping) => {
+            row[mapping.column] = query[mapping.key] ? record[query[mapping.key]] : null;
+          });
+          rows.push(row);
+        });
+      });
+
+      this.queryColumns = [
+        { label: "Object", fieldName: "RecordObject", type: "text" },
+        ...HM_DataSourceQueryBuilder.MULTI_OBJECT_MAPPINGS.map((mapping) => ({
+          label: mapping.label,
+          fieldName: mapping.column,
+          type: mapping.column === "RecordDate" ? "date" : "text"
+        }))
+      ];
+      this.queryResults = this.sortMultiObjectRows(rows);
+
+      // The list caps the unified rows at the query limit
+      const totalCount = results.reduce((sum, result) => sum + result.totalCount, 0);
+      this.queryTotalCount = this.queryLimit ? Math.min(totalCount, this.queryLimit) : totalCount;
+    } catch (error) {
+      this.queryError = error.body?.message || error.message || "Error executing preview query";
+    } finally {
+      this.isQueryLoading = false;
+    }
+  }
+
+  /**
+   * @description Sort unified Multi-Object rows by date, undated rows last, ties by title
+   * @param {Array} rows - Unified preview rows
+   * @returns {Array} Sorted rows
+   */
+  sortMultiObjectRows(rows) {
+    const direction = this.multiObjectSortDirection === "ASC" ? 1 : -1;
+    const toTime = (value) => (value ? Date.parse(value) : NaN);
+    return [...rows].sort((a, b) => {
+      const timeA = toTime(a.RecordDate);
+      const timeB = toTime(b.RecordDate);
+      if (isNaN(timeA) !== isNaN(timeB)) {
+        return isNaN(timeA) ? 1 : -1;
+      }
+      if (!isNaN(timeA) && timeA !== timeB) {
+        return (timeA - timeB) * direction;
+      }
+      return String(a.RecordTitle ?? "").localeCompare(String(b.RecordTitle ?? ""));
+    });
+  }
+
   /**
    * @description Get human-readable description of the aggregate query
    * @returns {string} Description text
@@ -1113,6 +1444,76 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     return funcDescriptions[this.aggregateFunction] || "Aggregate query";
   }
 
+  /**
+   * @description Build a preview datatable column that displays like the matching list format type
+   * Email, Phone, URL and Boolean use the datatable's link and checkmark types; datetimes show
+   * the same date and time parts as the Date Time format type; picklists and rich text use the
+   * pill and rich text cells of c-hm-preview-datatable
+   * @param {Object} col - ColumnInfo from executePreviewQuery ({ apiName, label, type, htmlFormatted })
+   * @returns {Object} lightning-datatable column
+   */
+  buildPreviewColumn(col) {
+    const column = {
+      label: col.label,
+      fieldName: col.apiName,
+      type: this.mapFieldTypeToDataTableType(col.type)
+    };
+    switch (getFormatTypeForFieldType(col.type, col.htmlFormatted)) {
+      case RICH_FORMAT_TYPES.DATE_TIME:
+        column.typeAttributes = { ...DATE_TIME_OPTIONS };
+        break;
+      case RICH_FORMAT_TYPES.PICKLIST:
+        column.type = HM_DataSourceQueryBuilder.PREVIEW_CELL_TYPES.PILL;
+        column.typeAttributes = { pillClass: { fieldName: this.getPillClassField(col.apiName) } };
+        break;
+      case RICH_FORMAT_TYPES.RICH_TEXT:
+        column.type = HM_DataSourceQueryBuilder.PREVIEW_CELL_TYPES.RICH_TEXT;
+        break;
+      default:
+        break;
+    }
+    return column;
+  }
+
+  /**
+   * @description Row key holding a picklist column's pill color class
+   * @param {String} fieldApiName - Column field
+   * @returns {String} Row key
+   */
+  getPillClassField(fieldApiName) {
+    return `${fieldApiName}${HM_DataSourceQueryBuilder.PILL_CLASS_FIELD_SUFFIX}`;
+  }
+
+  /**
+   * @description Add the list's display values to picklist and rich text cells
+   * Picklist rows get their pill color class; rich text values are replaced by sanitized HTML
+   * @param {Array} rows - Preview rows
+   * @param {Array} columns - ColumnInfo list from executePreviewQuery
+   * @returns {Array} Rows ready for the datatable
+   */
+  formatPreviewRows(rows, columns) {
+    const formattedColumns = columns
+      .map((col) => ({ apiName: col.apiName, formatType: getFormatTypeForFieldType(col.type, col.htmlFormatted) }))
+      .filter(({ formatType }) => (
+        formatType === RICH_FORMAT_TYPES.PICKLIST || formatType === RICH_FORMAT_TYPES.RICH_TEXT
+      ));
+    if (!rows || formattedColumns.length === 0) {
+      return rows;
+    }
+    return rows.map((row) => {
+      const formatted = { ...row };
+      formattedColumns.forEach(({ apiName, formatType }) => {
+        const display = buildDisplayValue(row[apiName], formatType);
+        if (formatType === RICH_FORMAT_TYPES.PICKLIST) {
+          formatted[this.getPillClassField(apiName)] = display?.pillClass || null;
+        } else {
+          formatted[apiName] = display?.html || "";
+        }
+      });
+      return formatted;
+    });
+  }
+
   /**
    * @description Map Salesforce field type to lightning-datatable type
    * @param {string} fieldType - Salesforce field type
@@ -1232,6 +1633,24 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     this.updateSoqlPreview();
   }
 
+  /**
+   * @description Toggle the host record merge field ({!recordId}) as a condition value
+   * Resolved at runtime to the Id of the record page the dashboard is placed on
+   * @param {Event} event - Button click event
+   */
+  handleRecordContextToggle(event) {
+    const conditionId = event.currentTarget.dataset.id;
+    const mergeField = HM_DataSourceQueryBuilder.MERGE_FIELD_RECORD_ID;
+
+    this.whereConditions = this.whereConditions.map((condition) => {
+      if (condition.id === conditionId) {
+        return { ...condition, value: condition.value === mergeField ? "" : mergeField };
+      }
+      return condition;
+    });
+    this.updateSoqlPreview();
+  }
+
   /**
    * @description Handle condition conjunction change (AND/OR)
    * @param {Event} event - Button click event
@@ -1457,6 +1876,8 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
       const isBooleanField = condition.fieldType === "BOOLEAN";
       const isNumberField = ["INTEGER", "DOUBLE", "CURRENCY", "PERCENT"].includes(condition.fieldType);
       const isDateField = condition.fieldType === "DATE" || condition.fieldType === "DATETIME";
+      const isIdField = mappedType === "ID";
+      const usesRecordContext = condition.value === HM_DataSourceQueryBuilder.MERGE_FIELD_RECORD_ID;
       
       let valueInputType = "text";
       if (isNumberField) valueInputType = "number";
@@ -1501,6 +1922,8 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
         isDateField,
         valueInputType,
         showDefaultInput: showValueInput && !isPicklistField && !isBooleanField && !showNDaysInput,
+        showRecordContextButton: showValueInput && isIdField,
+        recordContextButtonVariant: usesRecordContext ? "brand" : "border-filled",
         // Field search
         fieldSearchTerm,
         isFieldListOpen,
@@ -1791,6 +2214,15 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     return count > 0 ? `Filters (${count})` : "Filters";
   }
 
+  /**
+   * @description Get Multi-Object accordion label with count
+   * @returns {string} Label with object query count
+   */
+  get multiObjectAccordionLabel() {
+    const count = this.multiObjectQueries.length;
+    return count > 0 ? `Objects (${count})` : "Objects";
+  }
+
   /**
    * @description Get preview accordion label with record count
    * @returns {string} Label with result count if available
@@ -1821,6 +2253,99 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     return this.queryType === "Aggregate";
   }
 
+  /**
+   * @description Check if query type is Multi-Object
+   * @returns {boolean} True if Multi-Object mode
+   */
+  get isMultiObjectMode() {
+    return this.queryType === HM_DataSourceQueryBuilder.MULTI_OBJECT_QUERY_TYPE;
+  }
+
+  /**
+   * @description Check if the Multi-Object toggle should be shown
+   * Only lists render unified rows; kept visible for a saved Multi-Object source so it can be switched back
+   * @returns {boolean} True for List components or when already in Multi-Object mode
+   */
+  get showMultiObjectOption() {
+    return this.componentType === "List" || this.isMultiObjectMode;
+  }
+
+  /**
+   * @description Check if the query sections should be shown (object selected or Multi-Object mode)
+   * @returns {boolean} True if there is something to query
+   */
+  get hasQuerySource() {
+    return Boolean(this.page2Data.selectedObjectApiName) || this.isMultiObjectMode;
+  }
+
+  /**
+   * @description Get Multi-Object entries with their object, field and remove-button metadata
+   * @returns {Array} Entries for the Objects section
+   */
+  get multiObjectQueriesWithMeta() {
+    const objectOptions = this.multiObjectObjectOptions;
+    return this.multiObjectQueries.map((query, index) => {
+      const fields = this.fieldCache[query.objectApiName];
+      const mappings = HM_DataSourceQueryBuilder.MULTI_OBJECT_MAPPINGS.map((definition) => {
+        const options = this.getMultiObjectFieldOptions(fields, definition);
+        // Optional columns can be cleared with a None option
+        return {
+          key: definition.key,
+          label: definition.label,
+          required: definition.required,
+          value: definition.required ? query[definition.key] : query[definition.key] || "",
+          options: definition.required ? options : [{ label: "None", value: "" }, ...options]
+        };
+      });
+      return {
+        ...query,
+        objectLabel: `Object ${index + 1}`,
+        objectOptions,
+        mappings,
+        hasObject: Boolean(query.objectApiName),
+        isLoadingFields: Boolean(query.objectApiName) && !fields
+      };
+    });
+  }
+
+  /**
+   * @description Get object options for Multi-Object entries
+   * @returns {Array} Options for combobox
+   */
+  get multiObjectObjectOptions() {
+    return this.allObjects.map((obj) => ({ label: `${obj.label} (${obj.apiName})`, value: obj.apiName }));
+  }
+
+  /**
+   * @description Get sort direction options for the unified rows
+   * @returns {Array} Options for combobox
+   */
+  get multiObjectSortOptions() {
+    return HM_DataSourceQueryBuilder.MULTI_OBJECT_SORT_OPTIONS;
+  }
+
+  /**
+   * @description Check if any Multi-Object entries exist
+   * @returns {boolean} True if there is at least one entry
+   */
+  get hasMultiObjectQueries() {
+    return this.multiObjectQueries.length > 0;
+  }
+
+  /**
+   * @description Get Multi-Object entries with an object and every required column mapped
+   * Only these are written to the SOQL and config, so statements and mappings stay in step
+   * @returns {Array} Complete entries in statement order
+   */
+  get completeMultiObjectQueries() {
+    const requiredKeys = HM_DataSourceQueryBuilder.MULTI_OBJECT_MAPPINGS
+      .filter((mapping) => mapping.required)
+      .map((mapping) => mapping.key);
+    return this.multiObjectQueries.filter(
+      (query) => query.objectApiName && requiredKeys.every((key) => query[key])
+    );
+  }
+
   /**
    * @description Get aggregate function options for dropdown
    * @returns {Array} Options for combobox
@@ -1928,6 +2453,15 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     return this.isAggregateMode ? `${base} slds-button_brand` : `${base} slds-button_neutral`;
   }
 
+  /**
+   * @description Get CSS class for Multi-Object button in toggle
+   * @returns {string} CSS classes
+   */
+  get multiObjectButtonClass() {
+    const base = "slds-button query-type-btn";
+    return this.isMultiObjectMode ? `${base} slds-button_brand` : `${base} slds-button_neutral`;
+  }
+
   /**
    * @description Check if field selection should be shown (List mode + object selected)
    * @returns {boolean} True if field selection should show
@@ -1978,6 +2512,10 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     if (!this.hasRequiredBasicInfo || !this.isIconNameValidOrEmpty) {
       return false;
     }
+    // Multi-Object: only List components render unified rows, and filters are per object
+    if (this.isMultiObjectMode) {
+      return (!this.componentType || this.componentType === "List") && this.isFieldSelectionValid;
+    }
     // Object must be selected
     if (!this.page2Data.selectedObjectApiName) {
       return false;
@@ -2015,6 +2553,12 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
       return true;
     }
 
+    // Multi-Object mode: every entry needs an object, a title and a date field
+    if (this.isMultiObjectMode) {
+      return this.hasMultiObjectQueries
+        && this.completeMultiObjectQueries.length === this.multiObjectQueries.length;
+    }
+
     return false;
   }
 
@@ -2165,6 +2709,13 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
    * @returns {string} Formatted SOQL query or empty string
    */
   get generatedSoql() {
+    // Handle Multi-Object mode - one statement per complete entry, separated by semicolons
+    if (this.isMultiObjectMode) {
+      return this.completeMultiObjectQueries
+        .map((query) => this.buildMultiObjectStatement(query))
+        .join(";\n\n");
+    }
+
     if (!this.page2Data.selectedObjectApiName) {
       return "";
     }
@@ -2367,6 +2918,10 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     if (condition.value === "{!UserId}") {
       return `${field} ${operator} :UserInfo.getUserId()`;
     }
+    if (condition.value === HM_DataSourceQueryBuilder.MERGE_FIELD_RECORD_ID) {
+      // Left unquoted - the data service binds the host record Id as a quoted literal
+      return `${field} ${operator} ${HM_DataSourceQueryBuilder.MERGE_FIELD_RECORD_ID}`;
+    }
 
     // Handle boolean values
     if (condition.fieldType === "BOOLEAN") {
@@ -2451,6 +3006,12 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     const tokens = [];
     let tokenId = 0;
 
+    // Object names to highlight (one per statement in Multi-Object mode)
+    const objectApiNames = this.isMultiObjectMode
+      ? this.completeMultiObjectQueries.map((query) => query.objectApiName)
+      : [this.page2Data.selectedObjectApiName];
+    const queriedObjects = new Set(objectApiNames.filter(Boolean).map((name) => name.toUpperCase()));
+
     // Regex to match different token types
     const tokenRegex = /(:[\w.]+\(\))|('[^']*')|(\d+)|([A-Za-z_][\w_.]*)|(\s+)|([^\s\w]+)/g;
     let match;
@@ -2485,8 +3046,7 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
       } else if (/^[=!<>]+$/.test(value) || value === "(" || value === ")" || value === ",") {
         // Operator/punctuation
         className = "sql-operator";
-      } else if (this.page2Data.selectedObjectApiName && 
-                 upperValue === this.page2Data.selectedObjectApiName.toUpperCase()) {
+      } else if (queriedObjects.has(upperValue)) {
         // Object name
         className = "sql-object";
       }
@@ -2501,6 +3061,31 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
     return tokens;
   }
 
+  /**
+   * @description Build the SOQL statement for one Multi-Object entry
+   * Each statement is sorted by its date field and limited, so the unified rows keep the
+   * first records across all objects
+   * @param {Object} query - Complete Multi-Object query entry
+   * @returns {string} Formatted SOQL statement
+   */
+  buildMultiObjectStatement(query) {
+    const fields = ["Id", ...this.getMultiObjectFieldPaths(query)].join(",\n       ");
+    let statement = `SELECT ${fields}\n  FROM ${query.objectApiName}`;
+
+    const whereClause = query.whereClause?.trim();
+    if (whereClause) {
+      statement += `\n WHERE ${whereClause}`;
+    }
+
+    statement += `\n ORDER BY ${query.dateField} ${this.multiObjectSortDirection} NULLS LAST`;
+
+    if (this.queryLimit) {
+      statement += `\n LIMIT ${this.queryLimit}`;
+    }
+
+    return statement;
+  }
+
   /**
    * @description Update SOQL preview display and trigger auto-refresh
    * Triggers debounced preview query execution when configuration changes
@@ -2523,6 +3108,14 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
    * Only executes if we have a valid query configuration
    */
   triggerAutoRefresh() {
+    // For Multi-Object mode, need at least one complete entry
+    if (this.isMultiObjectMode) {
+      if (this.completeMultiObjectQueries.length > 0) {
+        this.executeQueryPreview();
+      }
+      return;
+    }
+
     // Only auto-refresh if we have valid query configuration
     if (!this.page2Data.selectedObjectApiName) {
       return;
@@ -2567,7 +3160,23 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
         conjunction: c.conjunction
       })),
       activeOwnerFilter: this.activeOwnerFilter,
-      queryLimit: this.queryLimit
+      queryLimit: this.queryLimit,
+      // Read at runtime: one mapping per SOQL statement, in the same order
+      multiObject: this.isMultiObjectMode
+        ? {
+          queries: this.completeMultiObjectQueries.map((query) => ({
+            objectApiName: query.objectApiName,
+            objectLabel: this.getObjectLabel(query.objectApiName),
+            titleField: query.titleField,
+            dateField: query.dateField,
+            ownerField: query.ownerField,
+            statusField: query.statusField,
+            whereClause: query.whereClause?.trim() || ""
+          })),
+          sortDirection: this.multiObjectSortDirection,
+          limit: this.queryLimit
+        }
+        : null
     });
   }
 
@@ -2614,6 +3223,21 @@ export default class HM_DataSourceQueryBuilder extends LightningElement {
       this.activeOwnerFilter = config.activeOwnerFilter || null;
       this.queryLimit = config.queryLimit || null;
 
+      // Restore Multi-Object entries and load their fields for the mapping comboboxes
+      if (config.multiObject) {
+        this.multiObjectSortDirection = config.multiObject.sortDirection || "DESC";
+        this.multiObjectQueries = (config.multiObject.queries || []).map((query) => ({
+          id: `mo_${++this.multiObjectQueryIdCounter}`,
+          objectApiName: query.objectApiName || null,
+          titleField: query.titleField || null,
+          dateField: query.dateField || null,
+          ownerField: query.ownerField || null,
+          statusField: query.statusField || null,
+          whereClause: query.whereClause || ""
+        }));
+        await Promise.all(this.multiObjectQueries.map((query) => this.loadMultiObjectFields(query.objectApiName)));
+      }
+
       // Update SOQL preview
       this.updateSoqlPreview();
     } catch (e) {
@@ -0,0 +1,136 @@
+import { TextDecoder, TextEncoder } from "util";
+import { EXPORT_FORMATS, buildCsv, buildXlsx, buildExportFileName } from "c/hmExportUtils";
+
+// jsdom does not provide the encoders browsers have
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Bit-by-bit CRC-32, independent of the table-driven one under test
+function referenceCrc32(bytes) {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Read the stored entries of a ZIP archive from its local file headers
+function readZipEntries(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let offset = 0;
+  while (view.getUint32(offset, true) === LOCAL_HEADER_SIGNATURE) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const nameStart = offset + 30;
+    const data = zip.subarray(nameStart + nameLength, nameStart + nameLength + size);
+    entries.push({
+      offset,
+      name: decoder.decode(zip.subarray(nameStart, nameStart + nameLength)),
+      method: view.getUint16(offset + 8, true),
+      crc: view.getUint32(offset + 14, true),
+      compressedSize: size,
+      uncompressedSize: view.getUint32(offset + 22, true),
+      data,
+      content: decoder.decode(data)
+    });
+    offset = nameStart + nameLength + size;
+  }
+  return { view, entries, centralOffset: offset };
+}
+
+describe("c-hm-export-utils", () => {
+  describe("buildCsv", () => {
+    it("joins rows with CRLF and quotes fields that need it", () => {
+      const csv = buildCsv(["Name", "Notes"], [
+        ["Acme, Inc.", 'Said "hi"'],
+        ["Line\nbreak", null]
+      ]);
+      expect(csv).toBe('Name,Notes\r\n"Acme, Inc.","Said ""hi"""\r\n"Line\nbreak",');
+    });
+
+    it("neutralizes formula-like text but keeps negative numbers", () => {
+      const csv = buildCsv(["A", "B", "C"], [["=SUM(A1:A2)", "-42", -7]]);
+      expect(csv).toBe("A,B,C\r\n'=SUM(A1:A2),-42,-7");
+    });
+  });
+
+  describe("buildExportFileName", () => {
+    it("makes a dated file name from the title", () => {
+      expect(buildExportFileName("Open Cases / Q1", EXPORT_FORMATS.CSV)).toMatch(
+        /^Open-Cases-Q1-\d{4}-\d{2}-\d{2}\.csv$/
+      );
+    });
+
+    it("falls back to export for empty titles", () => {
+      expect(buildExportFileName("  ", EXPORT_FORMATS.XLSX)).toMatch(/^export-\d{4}-\d{2}-\d{2}\.xlsx$/);
+      expect(buildExportFileName(null, EXPORT_FORMATS.CSV)).toMatch(/^export-/);
+    });
+  });
+
+  describe("buildXlsx", () => {
+    const zip = buildXlsx(["Name", "Amount", "Active"], [["Ünïcode & <co>", 12.5, true]], "Pipeline: Q1?");
+    const { view, entries, centralOffset } = readZipEntries(zip);
+
+    it("stores every workbook part as an uncompressed entry", () => {
+      expect(entries.map((entry) => entry.name)).toEqual([
+        "[Content_Types].xml",
+        "_rels/.rels",
+        "xl/workbook.xml",
+        "xl/_rels/workbook.xml.rels",
+        "xl/styles.xml",
+        "xl/worksheets/sheet1.xml"
+      ]);
+      entries.forEach((entry) => {
+        expect(entry.method).toBe(0);
+        expect(entry.uncompressedSize).toBe(entry.compressedSize);
+      });
+    });
+
+    it("writes the CRC-32 of each entry", () => {
+      expect(referenceCrc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+      entries.forEach((entry) => {
+        expect(entry.crc).toBe(referenceCrc32(entry.data));
+      });
+    });
+
+    it("ends with a central directory that points at each entry", () => {
+      const endOffset = zip.length - 22;
+      expect(view.getUint32(endOffset, true)).toBe(END_OF_CENTRAL_DIRECTORY_SIGNATURE);
+      expect(view.getUint16(endOffset + 8, true)).toBe(entries.length);
+      expect(view.getUint16(endOffset + 10, true)).toBe(entries.length);
+      expect(view.getUint32(endOffset + 12, true)).toBe(endOffset - centralOffset);
+      expect(view.getUint32(endOffset + 16, true)).toBe(centralOffset);
+
+      let offset = centralOffset;
+      entries.forEach((entry) => {
+        expect(view.getUint32(offset, true)).toBe(CENTRAL_HEADER_SIGNATURE);
+        expect(view.getUint32(offset + 16, true)).toBe(entry.crc);
+        expect(view.getUint32(offset + 42, true)).toBe(entry.offset);
+        offset += 46 + view.getUint16(offset + 28, true);
+      });
+      expect(offset).toBe(endOffset);
+    });
+
+    it("writes typed cells and escapes text", () => {
+      const sheet = entries.find((entry) => entry.name === "xl/worksheets/sheet1.xml").content;
+      expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>');
+      expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ünïcode &amp; &lt;co&gt;</t></is></c>');
+      expect(sheet).toContain('<c r="B2"><v>12.5</v></c>');
+      expect(sheet).toContain('<c r="C2" t="b"><v>1</v></c>');
+    });
+
+    it("cleans the sheet name", () => {
+      const workbook = entries.find((entry) => entry.name === "xl/workbook.xml").content;
+      expect(workbook).toContain('<sheet name="Pipeline Q1" sheetId="1" r:id="rId1"/>');
+    });
+  });
+});
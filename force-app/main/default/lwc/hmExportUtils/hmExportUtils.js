@@ -0,0 +1,360 @@
+/**
+ * @description File export helpers for dashboard components
+ * Builds CSV text and .xlsx workbooks (Office Open XML in an uncompressed ZIP) from a header row
+ * and data rows, and downloads them in the browser. No third-party libraries are used.
+ */
+
+// ==================== CONSTANTS ====================
+export const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx"
+};
+
+const MIME_TYPES = {
+  csv: "text/csv;charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Byte order mark so Excel opens UTF-8 CSV files with the right encoding
+const UTF8_BOM = "\uFEFF";
+// Cells starting with these characters are read as formulas by spreadsheet apps
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+// Characters XML 1.0 does not allow
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[[\]:*?/\\]/g;
+
+const SPREADSHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIPS_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIPS_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+let crcTable = null;
+
+// ==================== CSV ====================
+
+/**
+ * @description Quote a CSV field when needed and neutralize formula-like text
+ * @param {*} value - Cell value
+ * @return {String} CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX_PATTERN.test(text) && !NUMERIC_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @description Build CSV text
+ * @param {Array<String>} headers - Column labels
+ * @param {Array<Array>} rows - Row values, in header order
+ * @return {String} CSV text with CRLF line endings
+ */
+export function buildCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(toCsvField).join(",")).join("\r\n");
+}
+
+// ==================== XLSX ====================
+
+/**
+ * @description Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @return {String} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * @description Spreadsheet column letters for a zero-based index (0 = A, 26 = AA)
+ * @param {Number} index - Column index
+ * @return {String} Column letters
+ */
+function columnLetters(index) {
+  let letters = "";
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const remainder = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * @description Build one worksheet cell
+ * Numbers and booleans keep their type; everything else is an inline string
+ * @param {*} value - Cell value
+ * @param {String} ref - Cell reference, e.g. "B3"
+ * @param {Number} styleIndex - Index into cellXfs (1 = bold header)
+ * @return {String} Cell XML, or an empty string for empty values
+ */
+function buildSheetCell(value, ref, styleIndex) {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  const style = styleIndex ? ` s="${styleIndex}"` : "";
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * @description Build the worksheet XML with a bold, frozen header row
+ * @param {Array<String>} headers - Column labels
+ * @param {Array<Array>} rows - Row values
+ * @return {String} Worksheet XML
+ */
+function buildSheetXml(headers, rows) {
+  const sheetRows = [headers, ...rows].map((row, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const cells = row
+      .map((value, columnIndex) =>
+        buildSheetCell(value, `${columnLetters(columnIndex)}${rowNumber}`, rowIndex === 0 ? 1 : 0)
+      )
+      .join("");
+    return `<row r="${rowNumber}">${cells}</row>`;
+  });
+  return (
+    XML_DECLARATION +
+    `<worksheet xmlns="${SPREADSHEET_NS}">` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    "</sheetView></sheetViews>" +
+    `<sheetData>${sheetRows.join("")}</sheetData>` +
+    "</worksheet>"
+  );
+}
+
+/**
+ * @description Make a title usable as a worksheet name
+ * @param {String} name - Requested name
+ * @return {String} Sheet name (max 31 characters, no []:*?/\)
+ */
+function toSheetName(name) {
+  const cleaned = String(name || "").replace(INVALID_SHEET_NAME_CHARS, " ").replace(/\s+/g, " ").trim();
+  return (cleaned || "Sheet1").substring(0, MAX_SHEET_NAME_LENGTH);
+}
+
+/**
+ * @description Package parts of a single-sheet workbook
+ * @param {String} sheetXml - Worksheet XML
+ * @param {String} sheetName - Worksheet name
+ * @return {Array<Object>} Parts as { name, content }
+ */
+function buildWorkbookParts(sheetXml, sheetName) {
+  return [
+    {
+      name: "[Content_Types].xml",
+      content:
+        XML_DECLARATION +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        "</Types>"
+    },
+    {
+      name: "_rels/.rels",
+      content:
+        XML_DECLARATION +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>"
+    },
+    {
+      name: "xl/workbook.xml",
+      content:
+        XML_DECLARATION +
+        `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIPS_NS}">` +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>"
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content:
+        XML_DECLARATION +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>` +
+        "</Relationships>"
+    },
+    {
+      name: "xl/styles.xml",
+      content:
+        XML_DECLARATION +
+        `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+        '<fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        "</styleSheet>"
+    },
+    { name: "xl/worksheets/sheet1.xml", content: sheetXml }
+  ];
+}
+
+// ==================== ZIP ====================
+
+/**
+ * @description CRC-32 checksum required by ZIP entries
+ * @param {Uint8Array} bytes - Data
+ * @return {Number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @description Build a ZIP archive with stored (uncompressed) entries
+ * @param {Array<Object>} files - Entries as { name, content } with string content
+ * @return {Uint8Array} ZIP bytes
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const nameBytes = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, 0, true); // Modification time
+    local.setUint16(12, 0x21, true); // Modification date (1980-01-01)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * @description Build an .xlsx workbook with one worksheet
+ * @param {Array<String>} headers - Column labels
+ * @param {Array<Array>} rows - Row values; numbers and booleans are written as typed cells
+ * @param {String} sheetName - Worksheet name
+ * @return {Uint8Array} Workbook bytes
+ */
+export function buildXlsx(headers, rows, sheetName) {
+  return buildZip(buildWorkbookParts(buildSheetXml(headers, rows), toSheetName(sheetName)));
+}
+
+// ==================== DOWNLOAD ====================
+
+/**
+ * @description Turn a title into a file name, e.g. "Open Cases" -> "Open-Cases-2024-05-01.csv"
+ * @param {String} title - Title
+ * @param {String} format - One of EXPORT_FORMATS
+ * @return {String} File name
+ */
+export function buildExportFileName(title, format) {
+  const base = String(title || "export").trim().replace(/[^A-Za-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+  const today = new Date();
+  const pad = (value) => String(value).padStart(2, "0");
+  const date = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+  return `${base || "export"}-${date}.${format}`;
+}
+
+/**
+ * @description Download headers and rows as a CSV or .xlsx file
+ * @param {Object} options - Export options
+ * @param {String} options.format - One of EXPORT_FORMATS
+ * @param {String} options.title - Used for the file and sheet names
+ * @param {Array<String>} options.headers - Column labels
+ * @param {Array<Array>} options.rows - Row values
+ */
+export function downloadExport({ format, title, headers, rows }) {
+  const content = format === EXPORT_FORMATS.XLSX
+    ? buildXlsx(headers, rows, title)
+    : UTF8_BOM + buildCsv(headers, rows);
+  const url = URL.createObjectURL(new Blob([content], { type: MIME_TYPES[format] }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = buildExportFileName(title, format);
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the click has been handled so the download can start
+  // eslint-disable-next-line @lwc/lwc/no-async-operation
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
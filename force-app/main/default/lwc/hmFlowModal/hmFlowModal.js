@@ -0,0 +1,34 @@
+import { api } from "lwc";
+import LightningModal from "lightning/modal";
+
+/**
+ * @description Modal that runs a screen flow for one record (Flow row action)
+ * Opened by hmConfigurableList; passes the record Id as the flow's recordId input variable
+ * and resolves with "finished" when the flow completes, or undefined when closed early.
+ */
+export default class HM_FlowModal extends LightningModal {
+  // ==================== CONSTANTS ====================
+  static FINISHED_STATUSES = ["FINISHED", "FINISHED_SCREEN"];
+  static RESULT_FINISHED = "finished";
+
+  // ==================== PUBLIC PROPERTIES ====================
+  @api flowApiName;
+  @api recordId;
+
+  /**
+   * @description Input variables for lightning-flow
+   */
+  get inputVariables() {
+    return [{ name: "recordId", type: "String", value: this.recordId }];
+  }
+
+  /**
+   * @description Close the modal once the flow finishes
+   * @param {Event} event - statuschange event from lightning-flow
+   */
+  handleStatusChange(event) {
+    if (HM_FlowModal.FINISHED_STATUSES.includes(event.detail.status)) {
+      this.close(HM_FlowModal.RESULT_FINISHED);
+    }
+  }
+}
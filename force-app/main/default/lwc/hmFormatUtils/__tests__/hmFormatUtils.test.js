@@ -0,0 +1,186 @@
+import {
+  RICH_FORMAT_TYPES,
+  isRichFormatType,
+  parseBoolean,
+  toSafeUrl,
+  sanitizeRichText,
+  richTextToPlainText,
+  formatRelativeTime,
+  formatDuration,
+  formatDisplayText,
+  buildDisplayValue,
+  getFormatTypeForFieldType
+} from "c/hmFormatUtils";
+
+// Built from parts so the linter does not read the test value as a script URL
+const SCRIPT_URL = ["javascript", "alert(1)"].join(":");
+
+describe("c-hm-format-utils", () => {
+  describe("isRichFormatType", () => {
+    it("recognizes the richer format types only", () => {
+      expect(isRichFormatType(RICH_FORMAT_TYPES.DURATION)).toBe(true);
+      expect(isRichFormatType("Currency")).toBe(false);
+      expect(isRichFormatType(undefined)).toBe(false);
+    });
+  });
+
+  describe("parseBoolean", () => {
+    it("reads checkbox-like values", () => {
+      expect(parseBoolean(true)).toBe(true);
+      expect(parseBoolean(false)).toBe(false);
+      expect(parseBoolean(" Yes ")).toBe(true);
+      expect(parseBoolean("1")).toBe(true);
+      expect(parseBoolean(1)).toBe(true);
+      expect(parseBoolean("No")).toBe(false);
+      expect(parseBoolean(0)).toBe(false);
+      expect(parseBoolean(null)).toBe(false);
+    });
+  });
+
+  describe("toSafeUrl", () => {
+    it("keeps web and site-relative URLs", () => {
+      expect(toSafeUrl("https://example.com/a")).toBe("https://example.com/a");
+      expect(toSafeUrl(" http://example.com ")).toBe("http://example.com");
+      expect(toSafeUrl("/lightning/r/Account/001/view")).toBe("/lightning/r/Account/001/view");
+    });
+
+    it("adds https to bare www hosts", () => {
+      expect(toSafeUrl("www.example.com")).toBe("https://www.example.com");
+    });
+
+    it("rejects script, data and protocol-relative URLs", () => {
+      expect(toSafeUrl(SCRIPT_URL)).toBeNull();
+      expect(toSafeUrl("data:text/html,hi")).toBeNull();
+      expect(toSafeUrl("//evil.example.com")).toBeNull();
+      expect(toSafeUrl(null)).toBeNull();
+    });
+  });
+
+  describe("sanitizeRichText", () => {
+    it("removes scripts, embedded content and event handlers", () => {
+      const html = '<p onclick="steal()">Hi</p><script>alert(1)</script><iframe src="x"></iframe>';
+      expect(sanitizeRichText(html)).toBe("<p>Hi</p>");
+    });
+
+    it("neutralizes script URLs", () => {
+      expect(sanitizeRichText('<a href="javascript:alert(1)">x</a>')).toBe('<a href="#alert(1)">x</a>');
+    });
+
+    it("returns an empty string for empty values", () => {
+      expect(sanitizeRichText(null)).toBe("");
+      expect(sanitizeRichText(undefined)).toBe("");
+    });
+  });
+
+  describe("richTextToPlainText", () => {
+    it("strips markup, decodes entities and separates blocks", () => {
+      expect(richTextToPlainText("<p>Tom &amp; Jerry</p><p>5 &lt; 6</p>")).toBe("Tom & Jerry 5 < 6");
+      expect(richTextToPlainText("a<br>b")).toBe("a b");
+    });
+
+    it("drops script content", () => {
+      expect(richTextToPlainText("<b>ok</b><script>bad()</script>")).toBe("ok");
+    });
+  });
+
+  describe("formatRelativeTime", () => {
+    const now = new Date("2025-01-10T12:00:00Z");
+
+    it("uses the largest unit the difference reaches", () => {
+      expect(formatRelativeTime("2025-01-10T09:00:00Z", now)).toBe("3 hours ago");
+      expect(formatRelativeTime("2025-01-12T12:00:00Z", now)).toBe("in 2 days");
+    });
+
+    it("returns invalid values unchanged", () => {
+      expect(formatRelativeTime("not a date", now)).toBe("not a date");
+      expect(formatRelativeTime(null, now)).toBe("");
+    });
+  });
+
+  describe("formatDuration", () => {
+    it("shows the two largest non-zero units", () => {
+      expect(formatDuration(45)).toBe("45m");
+      expect(formatDuration(90)).toBe("1h 30m");
+      expect(formatDuration(3125)).toBe("2d 4h");
+      expect(formatDuration(1440)).toBe("1d");
+    });
+
+    it("handles zero, negative and invalid values", () => {
+      expect(formatDuration(0)).toBe("0m");
+      expect(formatDuration(-90)).toBe("-1h 30m");
+      expect(formatDuration("abc")).toBe("abc");
+      expect(formatDuration(null)).toBe("");
+    });
+  });
+
+  describe("formatDisplayText", () => {
+    it("formats the plain text of each type", () => {
+      expect(formatDisplayText("true", RICH_FORMAT_TYPES.BOOLEAN)).toBe("Yes");
+      expect(formatDisplayText(false, RICH_FORMAT_TYPES.BOOLEAN)).toBe("No");
+      expect(formatDisplayText("<p>Hello</p>", RICH_FORMAT_TYPES.RICH_TEXT)).toBe("Hello");
+      expect(formatDisplayText(90, RICH_FORMAT_TYPES.DURATION)).toBe("1h 30m");
+      expect(formatDisplayText("Open", RICH_FORMAT_TYPES.PICKLIST)).toBe("Open");
+      expect(formatDisplayText(undefined, RICH_FORMAT_TYPES.PICKLIST)).toBe("");
+    });
+  });
+
+  describe("buildDisplayValue", () => {
+    it("returns null for empty values and other format types", () => {
+      expect(buildDisplayValue("", RICH_FORMAT_TYPES.URL)).toBeNull();
+      expect(buildDisplayValue(null, RICH_FORMAT_TYPES.URL)).toBeNull();
+      expect(buildDisplayValue(10, "Currency")).toBeNull();
+    });
+
+    it("describes checkboxes", () => {
+      expect(buildDisplayValue("Yes", RICH_FORMAT_TYPES.BOOLEAN)).toEqual({
+        text: "Yes",
+        isText: false,
+        isCheckbox: true,
+        checked: true
+      });
+    });
+
+    it("links safe URLs and falls back to text for the rest", () => {
+      const link = buildDisplayValue("www.example.com", RICH_FORMAT_TYPES.URL);
+      expect(link.isUrl).toBe(true);
+      expect(link.href).toBe("https://www.example.com");
+
+      const unsafe = buildDisplayValue(SCRIPT_URL, RICH_FORMAT_TYPES.URL);
+      expect(unsafe.isUrl).toBe(false);
+      expect(unsafe.isText).toBe(true);
+      expect(unsafe.text).toBe(SCRIPT_URL);
+    });
+
+    it("gives a picklist value the same pill color every time", () => {
+      const first = buildDisplayValue("In Progress", RICH_FORMAT_TYPES.PICKLIST);
+      const second = buildDisplayValue("In Progress", RICH_FORMAT_TYPES.PICKLIST);
+      expect(first.isPill).toBe(true);
+      expect(first.pillClass).toMatch(/^cc-pill cc-pill--color-[1-6]$/);
+      expect(second.pillClass).toBe(first.pillClass);
+    });
+
+    it("only renders images from safe URLs", () => {
+      expect(buildDisplayValue("/img/logo.png", RICH_FORMAT_TYPES.IMAGE).isImage).toBe(true);
+      const unsafe = buildDisplayValue("data:image/png;base64,AAAA", RICH_FORMAT_TYPES.IMAGE);
+      expect(unsafe.isImage).toBe(false);
+      expect(unsafe.isText).toBe(true);
+    });
+
+    it("sanitizes rich text", () => {
+      const display = buildDisplayValue('<p onclick="x()">Hi</p>', RICH_FORMAT_TYPES.RICH_TEXT);
+      expect(display.isRichText).toBe(true);
+      expect(display.html).toBe("<p>Hi</p>");
+      expect(display.text).toBe("Hi");
+    });
+  });
+
+  describe("getFormatTypeForFieldType", () => {
+    it("maps field types to format types", () => {
+      expect(getFormatTypeForFieldType("DATETIME", false)).toBe(RICH_FORMAT_TYPES.DATE_TIME);
+      expect(getFormatTypeForFieldType("PICKLIST", false)).toBe(RICH_FORMAT_TYPES.PICKLIST);
+      expect(getFormatTypeForFieldType("MULTIPICKLIST", false)).toBe(RICH_FORMAT_TYPES.PICKLIST);
+      expect(getFormatTypeForFieldType("TEXTAREA", true)).toBe(RICH_FORMAT_TYPES.RICH_TEXT);
+      expect(getFormatTypeForFieldType("STRING", false)).toBeNull();
+    });
+  });
+});
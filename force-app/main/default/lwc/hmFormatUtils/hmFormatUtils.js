@@ -0,0 +1,320 @@
+/**
+ * @description Display formatting for the richer HM_Format_Type__c values
+ * Shared by lists, tiles and the query builder preview so a value reads the same everywhere;
+ * the preview picks the format type from the field type (getFormatTypeForFieldType).
+ * formatDisplayText returns the plain text used for titles, search, export and tiles;
+ * buildDisplayValue returns a descriptor the templates use to render checkmarks, links, pills,
+ * thumbnails and rich text. Currency, Number, Percent, Date and Text stay with each component.
+ */
+
+// ==================== CONSTANTS ====================
+export const RICH_FORMAT_TYPES = {
+  DATE_TIME: "Date Time",
+  RELATIVE_TIME: "Relative Time",
+  BOOLEAN: "Boolean",
+  EMAIL: "Email",
+  PHONE: "Phone",
+  URL: "URL",
+  PICKLIST: "Picklist",
+  IMAGE: "Image",
+  RICH_TEXT: "Rich Text",
+  DURATION: "Duration"
+};
+
+const RICH_FORMAT_TYPE_VALUES = new Set(Object.values(RICH_FORMAT_TYPES));
+
+// Format type shown for Salesforce field types in the query builder preview
+const FIELD_TYPE_FORMATS = {
+  DATETIME: RICH_FORMAT_TYPES.DATE_TIME,
+  BOOLEAN: RICH_FORMAT_TYPES.BOOLEAN,
+  EMAIL: RICH_FORMAT_TYPES.EMAIL,
+  PHONE: RICH_FORMAT_TYPES.PHONE,
+  URL: RICH_FORMAT_TYPES.URL,
+  PICKLIST: RICH_FORMAT_TYPES.PICKLIST,
+  MULTIPICKLIST: RICH_FORMAT_TYPES.PICKLIST
+};
+
+// Intl options for Date Time values; also the datatable typeAttributes in the query builder preview
+export const DATE_TIME_OPTIONS = {
+  year: "numeric",
+  month: "short",
+  day: "numeric",
+  hour: "numeric",
+  minute: "2-digit"
+};
+
+// Largest unit first; relative times use the first unit the difference reaches
+const RELATIVE_TIME_UNITS = [
+  { unit: "year", seconds: 31536000 },
+  { unit: "month", seconds: 2592000 },
+  { unit: "week", seconds: 604800 },
+  { unit: "day", seconds: 86400 },
+  { unit: "hour", seconds: 3600 },
+  { unit: "minute", seconds: 60 },
+  { unit: "second", seconds: 1 }
+];
+
+// Duration values are minutes (like Event.DurationInMinutes)
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 1440;
+
+const TRUE_VALUES = new Set(["true", "yes", "1", "y"]);
+const PILL_COLOR_COUNT = 6;
+
+// Only web and site-relative URLs are rendered as links or images
+const SAFE_URL_PATTERN = /^(https?:\/\/|\/(?!\/))/i;
+const WWW_PATTERN = /^www\./i;
+
+// First pass before lightning-formatted-rich-text, which applies its own tag allowlist
+const UNSAFE_BLOCK_PATTERN = /<(script|style|iframe|object|embed)[\s\S]*?(<\/\1\s*>|$)/gi;
+const EVENT_HANDLER_PATTERN = /\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi;
+const SCRIPT_URL_PATTERN = /(href|src)\s*=\s*(["']?)\s*(javascript|vbscript|data):/gi;
+const TAG_PATTERN = /<[^>]*>/g;
+const BLOCK_BREAK_PATTERN = /<\/(p|div|li|h[1-6])>|<br\s*\/?>/gi;
+const HTML_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&nbsp;": " "
+};
+
+// ==================== HELPERS ====================
+
+/**
+ * @description Check whether a format type is handled by this module
+ * @param {String} formatType - HM_Format_Type__c value
+ * @return {Boolean} True for the richer format types
+ */
+export function isRichFormatType(formatType) {
+  return RICH_FORMAT_TYPE_VALUES.has(formatType);
+}
+
+/**
+ * @description Parse a date, datetime or epoch value
+ * @param {*} value - Date, ISO string or epoch milliseconds
+ * @return {Date} Parsed date, or null if invalid
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @description Read a checkbox-like value
+ * @param {*} value - Boolean, "true"/"false", "Yes"/"No" or 1/0
+ * @return {Boolean} True if the value means checked
+ */
+export function parseBoolean(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  return TRUE_VALUES.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * @description Make a value usable as a link or image source
+ * Bare www. hosts get https://; anything else that is not http(s) or site-relative is rejected
+ * @param {*} value - URL value
+ * @return {String} Safe URL, or null
+ */
+export function toSafeUrl(value) {
+  const text = value == null ? "" : String(value).trim();
+  if (WWW_PATTERN.test(text)) {
+    return `https://${text}`;
+  }
+  return SAFE_URL_PATTERN.test(text) ? text : null;
+}
+
+/**
+ * @description Remove scripts, embedded content, event handlers and script URLs from HTML
+ * @param {String} html - Rich text value
+ * @return {String} Sanitized HTML
+ */
+export function sanitizeRichText(html) {
+  if (html === null || html === undefined) {
+    return "";
+  }
+  return String(html)
+    .replace(UNSAFE_BLOCK_PATTERN, "")
+    .replace(EVENT_HANDLER_PATTERN, "")
+    .replace(SCRIPT_URL_PATTERN, "$1=$2#");
+}
+
+/**
+ * @description Plain text of a rich text value, with block ends as spaces
+ * @param {String} html - Rich text value
+ * @return {String} Text without markup
+ */
+export function richTextToPlainText(html) {
+  if (html === null || html === undefined) {
+    return "";
+  }
+  return sanitizeRichText(html)
+    .replace(BLOCK_BREAK_PATTERN, " ")
+    .replace(TAG_PATTERN, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * @description Stable pill color for a picklist value, so a value keeps its color everywhere
+ * @param {String} value - Picklist value
+ * @return {Number} Color index from 1 to PILL_COLOR_COUNT
+ */
+function getPillColorIndex(value) {
+  let hash = 0;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) % 1000003;
+  }
+  return (hash % PILL_COLOR_COUNT) + 1;
+}
+
+// ==================== FORMATTERS ====================
+
+/**
+ * @description Format a datetime with date and time in the user's locale
+ * @param {*} value - Datetime value
+ * @return {String} Formatted datetime (e.g., "Jan 5, 2025, 3:04 PM")
+ */
+export function formatDateTime(value) {
+  const date = toDate(value);
+  return date ? date.toLocaleString(undefined, DATE_TIME_OPTIONS) : String(value ?? "");
+}
+
+/**
+ * @description Format a datetime relative to now
+ * @param {*} value - Datetime value
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @return {String} Relative time (e.g., "3 hours ago", "in 2 days")
+ */
+export function formatRelativeTime(value, now = new Date()) {
+  const date = toDate(value);
+  if (!date) {
+    return String(value ?? "");
+  }
+  const diffSeconds = Math.round((date.getTime() - now.getTime()) / 1000);
+  const match = RELATIVE_TIME_UNITS.find(({ seconds }) => Math.abs(diffSeconds) >= seconds)
+    || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+  const formatter = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+  return formatter.format(Math.round(diffSeconds / match.seconds), match.unit);
+}
+
+/**
+ * @description Format a number of minutes as days, hours and minutes
+ * @param {*} value - Duration in minutes
+ * @return {String} Duration (e.g., "45m", "1h 30m", "2d 4h")
+ */
+export function formatDuration(value) {
+  const minutes = Math.round(Number(value));
+  if (value === null || value === "" || isNaN(minutes)) {
+    return String(value ?? "");
+  }
+  const sign = minutes < 0 ? "-" : "";
+  let remaining = Math.abs(minutes);
+  const days = Math.floor(remaining / MINUTES_PER_DAY);
+  remaining -= days * MINUTES_PER_DAY;
+  const hours = Math.floor(remaining / MINUTES_PER_HOUR);
+  const mins = remaining - hours * MINUTES_PER_HOUR;
+
+  // Show the two largest non-zero units
+  const parts = [[days, "d"], [hours, "h"], [mins, "m"]]
+    .filter(([amount]) => amount > 0)
+    .slice(0, 2)
+    .map(([amount, unit]) => `${amount}${unit}`);
+  return parts.length ? sign + parts.join(" ") : "0m";
+}
+
+/**
+ * @description Plain text for a value in one of the richer format types
+ * @param {*} value - Raw value
+ * @param {String} formatType - HM_Format_Type__c value
+ * @return {String} Display text
+ */
+export function formatDisplayText(value, formatType) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  switch (formatType) {
+    case RICH_FORMAT_TYPES.DATE_TIME:
+      return formatDateTime(value);
+    case RICH_FORMAT_TYPES.RELATIVE_TIME:
+      return formatRelativeTime(value);
+    case RICH_FORMAT_TYPES.BOOLEAN:
+      return parseBoolean(value) ? "Yes" : "No";
+    case RICH_FORMAT_TYPES.RICH_TEXT:
+      return richTextToPlainText(value);
+    case RICH_FORMAT_TYPES.DURATION:
+      return formatDuration(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * @description Describe how a template should render a value in one of the richer format types
+ * Values that cannot be rendered safely (e.g. a non-web URL) fall back to plain text
+ * @param {*} value - Raw value
+ * @param {String} formatType - HM_Format_Type__c value
+ * @return {Object} { text, isText, isCheckbox, checked, isEmail, isPhone, isUrl, href, isPill,
+ *         pillClass, isImage, src, isRichText, html }, or null for empty values and other types
+ */
+export function buildDisplayValue(value, formatType) {
+  if (value === null || value === undefined || value === "" || !isRichFormatType(formatType)) {
+    return null;
+  }
+  const text = formatDisplayText(value, formatType);
+  const display = { text, isText: false };
+  switch (formatType) {
+    case RICH_FORMAT_TYPES.BOOLEAN:
+      display.isCheckbox = true;
+      display.checked = parseBoolean(value);
+      return display;
+    case RICH_FORMAT_TYPES.EMAIL:
+      display.isEmail = true;
+      return display;
+    case RICH_FORMAT_TYPES.PHONE:
+      display.isPhone = true;
+      return display;
+    case RICH_FORMAT_TYPES.URL:
+      display.href = toSafeUrl(value);
+      display.isUrl = Boolean(display.href);
+      display.isText = !display.isUrl;
+      return display;
+    case RICH_FORMAT_TYPES.PICKLIST:
+      display.isPill = true;
+      display.pillClass = `cc-pill cc-pill--color-${getPillColorIndex(value)}`;
+      return display;
+    case RICH_FORMAT_TYPES.IMAGE:
+      display.src = toSafeUrl(value);
+      display.isImage = Boolean(display.src);
+      display.isText = !display.isImage;
+      return display;
+    case RICH_FORMAT_TYPES.RICH_TEXT:
+      display.isRichText = true;
+      display.html = sanitizeRichText(value);
+      return display;
+    default:
+      display.isText = true;
+      return display;
+  }
+}
+
+/**
+ * @description Format type matching a Salesforce field type, for previews without a detail map
+ * @param {String} fieldType - Schema.DisplayType name (e.g. DATETIME, BOOLEAN)
+ * @param {Boolean} htmlFormatted - True for rich text area fields
+ * @return {String} Richer format type, or null when the field displays as-is
+ */
+export function getFormatTypeForFieldType(fieldType, htmlFormatted) {
+  if (htmlFormatted) {
+    return RICH_FORMAT_TYPES.RICH_TEXT;
+  }
+  return FIELD_TYPE_FORMATS[fieldType] || null;
+}
@@ -0,0 +1,56 @@
+import { api } from "lwc";
+import LightningModal from "lightning/modal";
+
+/**
+ * @description Modal for choosing a field and the value to set on selected list records
+ * Opened by hmConfigurableList; resolves with { fieldApiName, value } when confirmed, or undefined
+ * when cancelled. The value input is a lightning-input-field, so it matches the field's type.
+ */
+export default class HM_MassUpdateModal extends LightningModal {
+  // ==================== PUBLIC PROPERTIES ====================
+  // Object whose field metadata drives the value input
+  @api objectApiName;
+  // Fields the user may update on every selected record ({ label, value })
+  @api fieldOptions = [];
+  @api recordCount = 1;
+
+  fieldApiName = null;
+  value = null;
+
+  /**
+   * @description Explains how many records will be updated
+   */
+  get description() {
+    return this.recordCount === 1
+      ? "Choose the field to update on the selected record."
+      : `Choose the field to update on ${this.recordCount} records.`;
+  }
+
+  /**
+   * @description One-item list keyed by field, so the value input is rebuilt when the field changes
+   */
+  get selectedFields() {
+    return this.fieldApiName ? [{ key: this.fieldApiName, fieldApiName: this.fieldApiName }] : [];
+  }
+
+  get isConfirmDisabled() {
+    return !this.fieldApiName;
+  }
+
+  handleFieldChange(event) {
+    this.fieldApiName = event.detail.value;
+    this.value = null;
+  }
+
+  handleValueChange(event) {
+    this.value = event.detail.value ?? null;
+  }
+
+  handleCancel() {
+    this.close();
+  }
+
+  handleConfirm() {
+    this.close({ fieldApiName: this.fieldApiName, value: this.value });
+  }
+}
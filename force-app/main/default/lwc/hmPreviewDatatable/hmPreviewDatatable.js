@@ -0,0 +1,22 @@
+import LightningDatatable from "lightning/datatable";
+import pillTemplate from "./pill.html";
+import richTextTemplate from "./richText.html";
+
+/**
+ * @description Datatable for the query builder preview with the list's pill and rich text cells
+ * Rows carry the descriptor values from hmFormatUtils buildDisplayValue: pill cells read their
+ * color class from the pillClass type attribute, rich text cells get sanitized HTML as the value.
+ */
+export default class HM_PreviewDatatable extends LightningDatatable {
+  static customTypes = {
+    pill: {
+      template: pillTemplate,
+      standardCellLayout: true,
+      typeAttributes: ["pillClass"]
+    },
+    richText: {
+      template: richTextTemplate,
+      standardCellLayout: true
+    }
+  };
+}
@@ -0,0 +1,185 @@
+import { api } from "lwc";
+import LightningModal from "lightning/modal";
+import getTileDrillDownRecords from "@salesforce/apex/HM_ComponentDataService.getTileDrillDownRecords";
+
+/**
+ * @description Modal listing the records behind a tile value (Records Modal click action)
+ * Opened by hmConfigurableTile; re-runs the tile's data source in List mode with the
+ * same query context, so the rows match the WHERE clause behind the aggregate.
+ */
+export default class HM_TileRecordsModal extends LightningModal {
+  // ==================== CONSTANTS ====================
+  // Salesforce display types (from the Apex column describe) => lightning-datatable column types
+  static COLUMN_TYPES = {
+    CURRENCY: "currency",
+    DOUBLE: "number",
+    INTEGER: "number",
+    LONG: "number",
+    PERCENT: "percent",
+    DATE: "date-local",
+    DATETIME: "date",
+    BOOLEAN: "boolean",
+    EMAIL: "email",
+    PHONE: "phone",
+    URL: "url"
+  };
+
+  static DEFAULT_COLUMN_TYPE = "text";
+  static RECORD_LINK_FIELD = "recordUrl";
+
+  // ==================== PUBLIC PROPERTIES ====================
+  @api componentId;
+  @api context = {};
+
+  isLoading = true;
+  error = null;
+  columns = [];
+  rows = [];
+  rowLimit = 0;
+
+  connectedCallback() {
+    this.loadRecords();
+  }
+
+  /**
+   * @description Load drill-down records and shape them for lightning-datatable
+   */
+  async loadRecords() {
+    this.isLoading = true;
+    this.error = null;
+
+    try {
+      const response = await getTileDrillDownRecords({
+        componentId: this.componentId,
+        context: this.context
+      });
+      const columnDefs = response?.columns || [];
+      this.rowLimit = response?.rowLimit || 0;
+      this.columns = this.buildColumns(columnDefs);
+      this.rows = (response?.rows || []).map((row) => this.buildRow(row, columnDefs));
+    } catch (err) {
+      this.error = err;
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * @description Build datatable columns; the first column links to the record
+   * @param {Array} columnDefs - Columns from Apex ({ fieldName, label, type })
+   * @return {Array} lightning-datatable column definitions
+   */
+  buildColumns(columnDefs) {
+    return columnDefs.map((column, index) => {
+      const key = this.toColumnKey(column.fieldName);
+      if (index === 0) {
+        return {
+          label: column.label,
+          fieldName: HM_TileRecordsModal.RECORD_LINK_FIELD,
+          type: "url",
+          typeAttributes: { label: { fieldName: key }, target: "_self" }
+        };
+      }
+      return {
+        label: column.label,
+        fieldName: key,
+        type: HM_TileRecordsModal.COLUMN_TYPES[column.type] || HM_TileRecordsModal.DEFAULT_COLUMN_TYPE
+      };
+    });
+  }
+
+  /**
+   * @description Flatten a row so relationship paths (Account.Name) become datatable keys
+   * @param {Object} row - Row from Apex (relationship fields are nested maps)
+   * @param {Array} columnDefs - Columns from Apex
+   * @return {Object} Flat row keyed by column key, with Id and record URL
+   */
+  buildRow(row, columnDefs) {
+    const flatRow = {
+      Id: row.Id,
+      [HM_TileRecordsModal.RECORD_LINK_FIELD]: row.Id ? `/${row.Id}` : null
+    };
+    for (const column of columnDefs) {
+      let value = this.getFieldValue(row, column.fieldName);
+      // Salesforce stores percents as whole numbers; the datatable expects fractions
+      if (column.type === "PERCENT" && typeof value === "number") {
+        value = value / 100;
+      }
+      flatRow[this.toColumnKey(column.fieldName)] = value;
+    }
+    return flatRow;
+  }
+
+  /**
+   * @description Get field value from a row (supports dot notation)
+   * @param {Object} data - Row to read
+   * @param {String} fieldPath - Field path, e.g. "Owner.Name"
+   * @return {*} Field value or null if not found
+   */
+  getFieldValue(data, fieldPath) {
+    if (!data || !fieldPath) {
+      return null;
+    }
+    let value = data;
+    for (const part of fieldPath.split(".")) {
+      if (value === null || value === undefined) {
+        return null;
+      }
+      value = value[part];
+    }
+    return value ?? null;
+  }
+
+  /**
+   * @description Datatable field names cannot contain dots
+   * @param {String} fieldPath - Field path
+   * @return {String} Column key
+   */
+  toColumnKey(fieldPath) {
+    return fieldPath.replace(/\./g, "_");
+  }
+
+  /**
+   * @description Extract user-friendly error message from error object
+   * @param {Object} error - Error object
+   * @return {String} Error message
+   */
+  extractErrorMessage(error) {
+    if (!error) {
+      return "Unknown error";
+    }
+    if (error.body?.message) {
+      return error.body.message;
+    }
+    if (error.message) {
+      return error.message;
+    }
+    if (typeof error === "string") {
+      return error;
+    }
+    return "Unknown error occurred";
+  }
+
+  get errorMessage() {
+    return this.extractErrorMessage(this.error);
+  }
+
+  get hasRows() {
+    return this.rows.length > 0;
+  }
+
+  /**
+   * @description Record count summary, noting when the row limit cut the list short
+   */
+  get summary() {
+    const count = this.rows.length;
+    if (this.rowLimit && count >= this.rowLimit) {
+      return `Showing the first ${count} records`;
+    }
+    return count === 1 ? "1 record" : `${count} records`;
+  }
+
+  handleClose() {
+    this.close();
+  }
+}